@@ -188,9 +188,17 @@ const blockedSiteSchema = new mongoose.Schema({
 });
 blockedSiteSchema.index({ userId: 1, site: 1 }, { unique: true });
 
+// Sites that stay reachable during an allowlist-only focus session
+const allowedSiteSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  site: { type: String, required: true, maxlength: 253 },
+});
+allowedSiteSchema.index({ userId: 1, site: 1 }, { unique: true });
+
 const categoryMappingSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  domain: { type: String, required: true, maxlength: 253 },
+  // A bare host ("reddit.com") or a host + path-prefix rule ("reddit.com/r/programming")
+  domain: { type: String, required: true, maxlength: 512 },
   category: { type: String, required: true },
   updatedAt: { type: Date, default: Date.now },
 });
@@ -210,11 +218,20 @@ const preferencesSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", unique: true, sparse: true, required: true },
   theme: { type: String, enum: ["light", "dark"], default: "light" },
   accentColor: { type: String, enum: ["green", "blue", "purple", "red", "orange", "indigo"], default: "indigo" },
+  dayStartHour: { type: Number, min: 0, max: 23, default: 0 },  // local hour at which a new "day" begins
+  pomodoro: {                                                    // "Start Focus" work/break cycle
+    workMin: { type: Number, min: 5, max: 180, default: 25 },
+    shortBreakMin: { type: Number, min: 1, max: 60, default: 5 },
+    longBreakMin: { type: Number, min: 1, max: 120, default: 15 },
+    roundsBeforeLong: { type: Number, min: 1, max: 12, default: 4 },  // work rounds per long break
+    autoAdvance: { type: Boolean, default: true },                  // false: wait for the user between phases
+  },
   updatedAt: { type: Date, default: Date.now },
 });
 
 const User = mongoose.model("User", userSchema);
 const BlockedSite = mongoose.model("BlockedSite", blockedSiteSchema);
+const AllowedSite = mongoose.model("AllowedSite", allowedSiteSchema);
 const CategoryMapping = mongoose.model("CategoryMapping", categoryMappingSchema);
 const Reflection = mongoose.model("Reflection", reflectionSchema);
 const Preferences = mongoose.model("Preferences", preferencesSchema);
@@ -226,11 +243,118 @@ const customCategorySchema = new mongoose.Schema({
   name: { type: String, required: true, maxlength: 64 },
   emoji: { type: String, default: "📁", maxlength: 8 },
   color: { type: String, default: "#6366f1", maxlength: 9 },
+  blockInFocus: { type: Boolean, default: false },  // the extension blocks its domains during focus
   updatedAt: { type: Date, default: Date.now },
 });
 customCategorySchema.index({ userId: 1, catId: 1 }, { unique: true });
 const CustomCategory = mongoose.model("CustomCategory", customCategorySchema);
 
+// One row per device, day and domain. `time` is that device's running total,
+// so uploads can be replayed safely — the server only ever keeps the max.
+const timeEntrySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  deviceId: { type: String, required: true, maxlength: 64 },
+  date: { type: String, required: true, maxlength: 10 },
+  domain: { type: String, required: true, maxlength: 253 },
+  category: { type: String, default: "Other", maxlength: 64 },
+  time: { type: Number, default: 0, min: 0 },
+  listening: { type: Number, default: 0, min: 0 }, // audible background time
+  updatedAt: { type: Date, default: Date.now },
+});
+timeEntrySchema.index({ userId: 1, deviceId: 1, date: 1, domain: 1 }, { unique: true });
+timeEntrySchema.index({ userId: 1, date: 1 });
+const TimeEntry = mongoose.model("TimeEntry", timeEntrySchema);
+
+// Recurring blocking window. `windows` are minutes since local midnight;
+// end <= start means the window runs past midnight into the next day.
+const blockScheduleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  scheduleId: { type: String, required: true, maxlength: 64 },
+  name: { type: String, default: "", maxlength: 64 },
+  days: [{ type: Number, min: 0, max: 6 }],                 // 0 = Sunday, like Date#getDay
+  windows: [{
+    _id: false,
+    start: { type: Number, min: 0, max: 1439, required: true },
+    end: { type: Number, min: 0, max: 1440, required: true },
+  }],
+  useBlockList: { type: Boolean, default: true },           // block the user's blocked-sites list…
+  sites: [{ type: String, maxlength: 253 }],                // …or only these
+  enabled: { type: Boolean, default: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+blockScheduleSchema.index({ userId: 1, scheduleId: 1 }, { unique: true });
+const BlockSchedule = mongoose.model("BlockSchedule", blockScheduleSchema);
+
+// Daily time limit for one domain or one category. Once used up the
+// extension blocks the domain (or the category's hosts) until the next day.
+const budgetSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  kind: { type: String, enum: ["domain", "category"], required: true },
+  target: { type: String, required: true, maxlength: 253 },  // domain or category id
+  minutes: { type: Number, min: 1, max: 1440, required: true },
+  warnAt: { type: Number, min: 0, max: 99, default: 80 },     // % of the budget; 0 = no warning
+  updatedAt: { type: Date, default: Date.now },
+});
+budgetSchema.index({ userId: 1, kind: 1, target: 1 }, { unique: true });
+const Budget = mongoose.model("Budget", budgetSchema);
+
+// Daily goal for one category: spend at least (`min`) or at most (`max`)
+// `minutes` on it on the listed weekdays. Several goals may cover the same
+// category on different days, e.g. 2h of Development on weekdays, 30m on weekends.
+const goalSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  goalId: { type: String, required: true, maxlength: 64 },
+  category: { type: String, required: true, maxlength: 64 },   // category id, built-in or custom
+  type: { type: String, enum: ["min", "max"], required: true },
+  minutes: { type: Number, min: 1, max: 1440, required: true },
+  days: [{ type: Number, min: 0, max: 6 }],                    // 0 = Sunday, like Date#getDay
+  updatedAt: { type: Date, default: Date.now },
+});
+goalSchema.index({ userId: 1, goalId: 1 }, { unique: true });
+const Goal = mongoose.model("Goal", goalSchema);
+
+// Redirects to the blocked page, one row per device, day and site (the host,
+// or the block rule for path/wildcard/keyword rules). Like TimeEntry, `count`
+// is the device's running total and only ever moves up.
+const blockAttemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  deviceId: { type: String, required: true, maxlength: 64 },
+  date: { type: String, required: true, maxlength: 10 },
+  site: { type: String, required: true, maxlength: 253 },
+  count: { type: Number, default: 0, min: 0 },
+  updatedAt: { type: Date, default: Date.now },
+});
+blockAttemptSchema.index({ userId: 1, deviceId: 1, date: 1, site: 1 }, { unique: true });
+blockAttemptSchema.index({ userId: 1, date: 1 });
+const BlockAttempt = mongoose.model("BlockAttempt", blockAttemptSchema);
+
+// One finished focus session — soft, hard, or a Pomodoro work round — as the
+// device that ran it recorded it. `sessionId` is generated on the device, so
+// re-uploading the same session only overwrites it. `date` is the local day
+// key the session started on. `task` is what the user said they were working
+// on, and `domains` the time tracked on each domain while the session ran.
+const focusSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  deviceId: { type: String, required: true, maxlength: 64 },
+  sessionId: { type: String, required: true, maxlength: 64 },
+  date: { type: String, required: true, maxlength: 10 },
+  startedAt: { type: Date, required: true },
+  plannedEnd: { type: Date, required: true },
+  endedAt: { type: Date, required: true },
+  hard: { type: Boolean, default: false },
+  allowlist: { type: Boolean, default: false },
+  pomodoro: { type: Boolean, default: false },
+  outcome: { type: String, enum: ["completed", "abandoned"], required: true },
+  blockedAttempts: { type: Number, default: 0, min: 0 },
+  task: { type: String, default: "", maxlength: 120 },
+  // Map keys can't contain dots, so domains are stored as a list
+  domains: { type: [{ _id: false, domain: String, ms: Number }], default: [] },
+  updatedAt: { type: Date, default: Date.now },
+});
+focusSessionSchema.index({ userId: 1, sessionId: 1 }, { unique: true });
+focusSessionSchema.index({ userId: 1, date: 1 });
+const FocusSession = mongoose.model("FocusSession", focusSessionSchema);
+
 // ─────────────────────────────────────────────
 // INDEX REPAIR (runs once on DB open)
 // ─────────────────────────────────────────────
@@ -260,10 +384,17 @@ async function repairIndexes() {
     await Promise.all([
       User.syncIndexes(),
       BlockedSite.syncIndexes(),
+      AllowedSite.syncIndexes(),
       CategoryMapping.syncIndexes(),
       Reflection.syncIndexes(),
       Preferences.syncIndexes(),
       CustomCategory.syncIndexes(),
+      TimeEntry.syncIndexes(),
+      BlockSchedule.syncIndexes(),
+      Budget.syncIndexes(),
+      BlockAttempt.syncIndexes(),
+      FocusSession.syncIndexes(),
+      Goal.syncIndexes(),
     ]);
 
     console.log("✅ All indexes in sync");
@@ -352,6 +483,73 @@ function normalizeDomain(raw) {
   }
 }
 
+// Category mapping keys: a host, optionally followed by a path prefix that
+// is kept verbatim (paths and query strings are case-sensitive).
+// "https://www.YouTube.com/playlist?list=PL1" → "youtube.com/playlist?list=PL1"
+// Entity keys are a host, "#", and the entity the extension extracted:
+// "www.github.com#facebook/react" → "github.com#facebook/react"
+function normalizeMappingKey(raw) {
+  const hash = String(raw).indexOf("#");
+  if (hash > 0) {
+    const host   = normalizeDomain(String(raw).slice(0, hash).trim());
+    const entity = String(raw).slice(hash + 1).trim();
+    return host && entity ? `${host}#${entity}` : "";
+  }
+  const m = String(raw).trim().replace(/^https?:\/\//i, "").match(/^([^/?#]+)([/?][^#]*)?/);
+  if (!m) return "";
+  const host = normalizeDomain(m[1]);
+  let path = m[2] || "";
+  if (path.startsWith("?")) path = "/" + path;
+  path = path.replace(/\/+$/, "");
+  return host + path;
+}
+
+// Blocked-site entries are strings whose shape is their rule type:
+//   "reddit.com"          domain   — the host and all its subdomains
+//   "youtube.com/shorts"  path     — URLs under that path prefix
+//   "*.example.*"         wildcard — * stands for any run of characters
+//   "keyword:/r/all"      keyword  — any URL containing the text
+const BLOCK_RULE_TYPES = ["domain", "path", "wildcard", "keyword"];
+const KEYWORD_PREFIX = "keyword:";
+
+function blockRuleType(entry) {
+  if (entry.startsWith(KEYWORD_PREFIX)) return "keyword";
+  if (entry.includes("*")) return "wildcard";
+  return /[/?]/.test(entry.replace(/^https?:\/\//i, "").replace(/\/+$/, "")) ? "path" : "domain";
+}
+
+// → { site } in canonical form, or { error }. `type` defaults to the entry's shape.
+function normalizeBlockRule(raw, type) {
+  let s = String(raw).trim();
+  type = type || blockRuleType(s);
+  if (type === "keyword" && s.startsWith(KEYWORD_PREFIX)) s = s.slice(KEYWORD_PREFIX.length);
+  // | and ^ are declarativeNetRequest urlFilter syntax, which also only takes ASCII;
+  // * only means something in wildcards
+  if (/[|^\s]/.test(s) || (type !== "wildcard" && s.includes("*")))
+    return { error: "Rules can't contain spaces or | ^ characters" };
+  if (type !== "domain" && /[^\x21-\x7e]/.test(s))
+    return { error: "Path, wildcard and keyword rules must be plain ASCII" };
+
+  if (type === "domain") {
+    const host = normalizeDomain(s);
+    return host && host.length >= 4 && host.includes(".") ? { site: host } : { error: "Invalid domain" };
+  }
+  if (type === "path") {
+    const key = normalizeMappingKey(s.split("#")[0]);
+    if (!key.includes(".") || !/[/?]/.test(key)) return { error: "Path rules look like youtube.com/shorts" };
+    return { site: key };
+  }
+  if (type === "wildcard") {
+    s = s.toLowerCase().replace(/^https?:\/\//, "").replace(/\*+/g, "*");
+    if (!s.includes("*") || s.replace(/[*.]/g, "").length < 3 || /[^a-z0-9.*\-/_?=&%~+:]/.test(s))
+      return { error: "Wildcards look like *.example.* or example.*/shorts" };
+    return { site: s };
+  }
+  s = s.toLowerCase();
+  if (s.length < 2 || s.length > 100) return { error: "Keywords must be 2–100 characters" };
+  return { site: KEYWORD_PREFIX + s };
+}
+
 // ─────────────────────────────────────────────
 // EMAIL HELPERS
 // ─────────────────────────────────────────────
@@ -993,14 +1191,17 @@ app.get("/blocked-sites", requireAuth, async (req, res) => {
   }
 });
 
+// POST /blocked-sites — { site, type? }; type is one of BLOCK_RULE_TYPES and
+// defaults to the shape of `site` (see normalizeBlockRule)
 app.post("/blocked-sites", requireAuth, async (req, res) => {
-  const { site } = req.body;
+  const { site, type } = req.body;
   if (!site || typeof site !== "string" || site.length > 253)
     return res.status(400).json({ error: "Valid site URL required" });
+  if (type !== undefined && !BLOCK_RULE_TYPES.includes(type))
+    return res.status(400).json({ error: `type must be one of: ${BLOCK_RULE_TYPES.join(", ")}` });
 
-  const normalized = normalizeDomain(site);
-  if (!normalized || normalized.length < 4 || !normalized.includes("."))
-    return res.status(400).json({ error: "Invalid domain" });
+  const { site: normalized, error } = normalizeBlockRule(site, type);
+  if (error) return res.status(400).json({ error });
 
   try {
     await BlockedSite.updateOne(
@@ -1018,7 +1219,8 @@ app.post("/blocked-sites", requireAuth, async (req, res) => {
 
 app.delete("/blocked-sites/:site", requireAuth, async (req, res) => {
   try {
-    const normalized = normalizeDomain(decodeURIComponent(req.params.site));
+    const raw = decodeURIComponent(req.params.site);
+    const normalized = normalizeBlockRule(raw).site || raw.trim();
     await BlockedSite.deleteOne({ userId: req.userId, site: normalized });
     res.json({ success: true });
   } catch (err) {
@@ -1027,6 +1229,53 @@ app.delete("/blocked-sites/:site", requireAuth, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────
+// ALLOWED SITES (allowlist-only focus mode)
+// ─────────────────────────────────────────────────────────────────────
+app.get("/allowed-sites", requireAuth, async (req, res) => {
+  try {
+    const sites = await AllowedSite.find({ userId: req.userId }, { _id: 0, site: 1 });
+    res.json(sites.map(s => s.site));
+  } catch (err) {
+    console.error("GET /allowed-sites:", err.message);
+    res.status(500).json({ error: "Failed to load allowed sites" });
+  }
+});
+
+app.post("/allowed-sites", requireAuth, async (req, res) => {
+  const { site } = req.body;
+  if (!site || typeof site !== "string" || site.length > 253)
+    return res.status(400).json({ error: "Valid site URL required" });
+
+  const normalized = normalizeDomain(site);
+  if (!normalized || normalized.length < 4 || !normalized.includes("."))
+    return res.status(400).json({ error: "Invalid domain" });
+
+  try {
+    await AllowedSite.updateOne(
+      { userId: req.userId, site: normalized },
+      { $set: { userId: req.userId, site: normalized } },
+      { upsert: true }
+    );
+    res.json({ success: true, site: normalized });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true, site: normalized });
+    console.error("POST /allowed-sites:", err.message);
+    res.status(500).json({ error: "Failed to save allowed site" });
+  }
+});
+
+app.delete("/allowed-sites/:site", requireAuth, async (req, res) => {
+  try {
+    const normalized = normalizeDomain(decodeURIComponent(req.params.site));
+    await AllowedSite.deleteOne({ userId: req.userId, site: normalized });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /allowed-sites:", err.message);
+    res.status(500).json({ error: "Failed to remove allowed site" });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────
 // CATEGORIES
 // ─────────────────────────────────────────────────────────────────────
@@ -1048,7 +1297,7 @@ app.get("/categories", requireAuth, async (req, res) => {
 app.post("/categories", requireAuth, async (req, res) => {
   const { domain, category } = req.body;
 
-  if (!domain || typeof domain !== "string" || domain.length > 253)
+  if (!domain || typeof domain !== "string" || domain.length > 512)
     return res.status(400).json({ error: "Valid domain required" });
   if (!category || typeof category !== "string" || category.trim().length === 0)
     return res.status(400).json({ error: "Category name is required" });
@@ -1056,8 +1305,8 @@ app.post("/categories", requireAuth, async (req, res) => {
     return res.status(400).json({ error: "Category name must be 64 characters or fewer" });
 
   const sanitizedCategory = category.trim();
-  const normalized = normalizeDomain(domain);
-  if (!normalized || !normalized.includes("."))
+  const normalized = normalizeMappingKey(domain);
+  if (!normalized || !normalized.split(/[/#]/)[0].includes("."))
     return res.status(400).json({ error: "Invalid domain" });
 
   try {
@@ -1077,7 +1326,7 @@ app.post("/categories", requireAuth, async (req, res) => {
 
 app.delete("/categories/:domain", requireAuth, async (req, res) => {
   try {
-    const normalized = normalizeDomain(decodeURIComponent(req.params.domain));
+    const normalized = normalizeMappingKey(decodeURIComponent(req.params.domain));
     await CategoryMapping.deleteOne({ userId: req.userId, domain: normalized });
     res.json({ success: true });
   } catch (err) {
@@ -1091,7 +1340,7 @@ app.get("/custom-categories", requireAuth, async (req, res) => {
   try {
     const cats = await CustomCategory.find(
       { userId: req.userId },
-      { _id: 0, catId: 1, name: 1, emoji: 1, color: 1 }
+      { _id: 0, catId: 1, name: 1, emoji: 1, color: 1, blockInFocus: 1 }
     );
     res.json(cats);
   } catch (err) {
@@ -1100,9 +1349,10 @@ app.get("/custom-categories", requireAuth, async (req, res) => {
   }
 });
 
-// POST /custom-categories — create or update a custom category
+// POST /custom-categories — create or update a custom category (or a built-in's
+// overrides); blockInFocus is left unchanged when omitted
 app.post("/custom-categories", requireAuth, async (req, res) => {
-  const { catId, name, emoji, color } = req.body;
+  const { catId, name, emoji, color, blockInFocus } = req.body;
 
   if (!catId || typeof catId !== "string" || catId.trim().length === 0 || catId.length > 64)
     return res.status(400).json({ error: "Valid catId required (max 64 chars)" });
@@ -1112,6 +1362,8 @@ app.post("/custom-categories", requireAuth, async (req, res) => {
     return res.status(400).json({ error: "Invalid emoji" });
   if (color && (typeof color !== "string" || !/^#[0-9a-fA-F]{3,8}$/.test(color)))
     return res.status(400).json({ error: "Invalid color (must be hex like #6366f1)" });
+  if (blockInFocus !== undefined && typeof blockInFocus !== "boolean")
+    return res.status(400).json({ error: "blockInFocus must be a boolean" });
 
   try {
     await CustomCategory.updateOne(
@@ -1123,6 +1375,7 @@ app.post("/custom-categories", requireAuth, async (req, res) => {
           name: name.trim(),
           emoji: emoji || "📁",
           color: color || "#6366f1",
+          ...(blockInFocus !== undefined && { blockInFocus }),
           updatedAt: new Date(),
         }
       },
@@ -1144,6 +1397,8 @@ app.delete("/custom-categories/:catId", requireAuth, async (req, res) => {
     await CustomCategory.deleteOne({ userId: req.userId, catId });
     // Remove all domain mappings that pointed to this category
     await CategoryMapping.deleteMany({ userId: req.userId, category: catId });
+    await Budget.deleteMany({ userId: req.userId, kind: "category", target: catId });
+    await Goal.deleteMany({ userId: req.userId, category: catId });
     res.json({ success: true });
   } catch (err) {
     console.error("DELETE /custom-categories:", err.message);
@@ -1213,16 +1468,563 @@ app.post("/reflections", requireAuth, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────
+// TIME ENTRIES (cross-device sync of tracked time)
+// ─────────────────────────────────────────────────────────────────────
+const DEVICE_ID_RE = /^[\w-]{8,64}$/;
+const MAX_DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIME_ENTRIES_PER_REQUEST = 50;
+
+// GET /time-entries?startDate=&endDate=&excludeDevice=
+// Returns per-day, per-domain totals summed across devices. The extension
+// passes its own deviceId as excludeDevice since it already has that data locally.
+app.get("/time-entries", requireAuth, async (req, res) => {
+  const { startDate, endDate, excludeDevice } = req.query;
+  try {
+    const match = { userId: req.userId };
+    if (startDate && endDate && DATE_RE.test(startDate) && DATE_RE.test(endDate)) {
+      match.date = { $gte: startDate, $lte: endDate };
+    }
+    if (excludeDevice && DEVICE_ID_RE.test(excludeDevice)) {
+      match.deviceId = { $ne: excludeDevice };
+    }
+    const rows = await TimeEntry.aggregate([
+      { $match: match },
+      { $sort: { updatedAt: 1 } },
+      {
+        $group: {
+          _id: { date: "$date", domain: "$domain" },
+          time: { $sum: "$time" },
+          listening: { $sum: "$listening" },
+          category: { $last: "$category" },
+        }
+      },
+      { $project: { _id: 0, date: "$_id.date", domain: "$_id.domain", time: 1, listening: 1, category: 1 } },
+    ]);
+    res.json(rows);
+  } catch (err) {
+    console.error("GET /time-entries:", err.message);
+    res.status(500).json({ error: "Failed to load time entries" });
+  }
+});
+
+// POST /time-entries — { deviceId, entries: [{ date, domain, category, time, listening? }] }
+// `time` (and `listening`) is the device's cumulative total for that day/domain, applied with $max,
+// so retrying or re-sending the same batch never double-counts.
+app.post("/time-entries", requireAuth, async (req, res) => {
+  const { deviceId, entries } = req.body;
+  if (!deviceId || typeof deviceId !== "string" || !DEVICE_ID_RE.test(deviceId))
+    return res.status(400).json({ error: "Valid deviceId required" });
+  if (!Array.isArray(entries) || entries.length === 0)
+    return res.status(400).json({ error: "entries must be a non-empty array" });
+  if (entries.length > MAX_TIME_ENTRIES_PER_REQUEST)
+    return res.status(400).json({ error: `At most ${MAX_TIME_ENTRIES_PER_REQUEST} entries per request` });
+
+  const ops = [];
+  for (const e of entries) {
+    if (!e || !DATE_RE.test(e.date))
+      return res.status(400).json({ error: "Each entry needs a date (YYYY-MM-DD)" });
+    if (typeof e.domain !== "string" || !e.domain || e.domain.length > 253)
+      return res.status(400).json({ error: "Each entry needs a valid domain" });
+    if (typeof e.time !== "number" || !Number.isFinite(e.time) || e.time < 0 || e.time > MAX_DAY_MS)
+      return res.status(400).json({ error: "Each entry needs a time between 0 and 24h (ms)" });
+    if (e.listening !== undefined && (typeof e.listening !== "number" || !Number.isFinite(e.listening) || e.listening < 0 || e.listening > MAX_DAY_MS))
+      return res.status(400).json({ error: "listening must be between 0 and 24h (ms)" });
+
+    const domain = normalizeDomain(e.domain);
+    const category = typeof e.category === "string" && e.category.trim()
+      ? e.category.trim().slice(0, 64)
+      : "Other";
+    ops.push({
+      updateOne: {
+        filter: { userId: req.userId, deviceId, date: e.date, domain },
+        update: {
+          $max: { time: Math.round(e.time), listening: Math.round(e.listening || 0) },
+          $set: { category, updatedAt: new Date() },
+        },
+        upsert: true,
+      }
+    });
+  }
+
+  try {
+    await TimeEntry.bulkWrite(ops, { ordered: false });
+    res.json({ success: true, count: ops.length });
+  } catch (err) {
+    // A concurrent upsert of the same key can race to a duplicate — the other write won
+    if (err.code === 11000) return res.json({ success: true, count: ops.length });
+    console.error("POST /time-entries:", err.message);
+    res.status(500).json({ error: "Failed to save time entries" });
+  }
+});
+
+// DELETE /time-entries?deviceId= — forget everything one device uploaded
+// (used when that device re-keys its history and uploads it again)
+app.delete("/time-entries", requireAuth, async (req, res) => {
+  const { deviceId } = req.query;
+  if (!deviceId || !DEVICE_ID_RE.test(deviceId))
+    return res.status(400).json({ error: "Valid deviceId required" });
+  try {
+    const r = await TimeEntry.deleteMany({ userId: req.userId, deviceId });
+    res.json({ success: true, deleted: r.deletedCount });
+  } catch (err) {
+    console.error("DELETE /time-entries:", err.message);
+    res.status(500).json({ error: "Failed to delete time entries" });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────
+// BLOCKED ATTEMPTS (redirects to the blocked page, synced like time entries)
+// ─────────────────────────────────────────────────────────────────────
+const MAX_ATTEMPTS_PER_DAY = 100000;
+
+// GET /block-attempts?startDate=&endDate=&excludeDevice=
+// Per-day, per-site counts summed across devices.
+app.get("/block-attempts", requireAuth, async (req, res) => {
+  const { startDate, endDate, excludeDevice } = req.query;
+  try {
+    const match = { userId: req.userId };
+    if (startDate && endDate && DATE_RE.test(startDate) && DATE_RE.test(endDate)) {
+      match.date = { $gte: startDate, $lte: endDate };
+    }
+    if (excludeDevice && DEVICE_ID_RE.test(excludeDevice)) {
+      match.deviceId = { $ne: excludeDevice };
+    }
+    const rows = await BlockAttempt.aggregate([
+      { $match: match },
+      { $group: { _id: { date: "$date", site: "$site" }, count: { $sum: "$count" } } },
+      { $project: { _id: 0, date: "$_id.date", site: "$_id.site", count: 1 } },
+    ]);
+    res.json(rows);
+  } catch (err) {
+    console.error("GET /block-attempts:", err.message);
+    res.status(500).json({ error: "Failed to load blocked attempts" });
+  }
+});
+
+// POST /block-attempts — { deviceId, attempts: [{ date, site, count }] }
+// `count` is the device's running total for that day/site, applied with $max.
+app.post("/block-attempts", requireAuth, async (req, res) => {
+  const { deviceId, attempts } = req.body;
+  if (!deviceId || typeof deviceId !== "string" || !DEVICE_ID_RE.test(deviceId))
+    return res.status(400).json({ error: "Valid deviceId required" });
+  if (!Array.isArray(attempts) || attempts.length === 0)
+    return res.status(400).json({ error: "attempts must be a non-empty array" });
+  if (attempts.length > MAX_TIME_ENTRIES_PER_REQUEST)
+    return res.status(400).json({ error: `At most ${MAX_TIME_ENTRIES_PER_REQUEST} attempts per request` });
+
+  const ops = [];
+  for (const a of attempts) {
+    if (!a || !DATE_RE.test(a.date))
+      return res.status(400).json({ error: "Each attempt needs a date (YYYY-MM-DD)" });
+    if (typeof a.site !== "string" || !a.site.trim() || a.site.length > 253)
+      return res.status(400).json({ error: "Each attempt needs a site" });
+    if (!Number.isInteger(a.count) || a.count < 0 || a.count > MAX_ATTEMPTS_PER_DAY)
+      return res.status(400).json({ error: "Each attempt needs a non-negative integer count" });
+    ops.push({
+      updateOne: {
+        filter: { userId: req.userId, deviceId, date: a.date, site: a.site.trim().toLowerCase() },
+        update: { $max: { count: a.count }, $set: { updatedAt: new Date() } },
+        upsert: true,
+      }
+    });
+  }
+
+  try {
+    await BlockAttempt.bulkWrite(ops, { ordered: false });
+    res.json({ success: true, count: ops.length });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true, count: ops.length });
+    console.error("POST /block-attempts:", err.message);
+    res.status(500).json({ error: "Failed to save blocked attempts" });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────
+// FOCUS SESSIONS (history of finished sessions from every device)
+// ─────────────────────────────────────────────────────────────────────
+const SESSION_ID_RE = /^[\w-]{8,64}$/;
+const MAX_SESSION_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS_RETURNED = 2000;
+const MAX_TASK_LENGTH = 120;
+const MAX_SESSION_DOMAINS = 50;
+
+// { domain: ms } → [{ domain, ms }] for storage, or null if it isn't one
+function validateSessionDomains(domains) {
+  if (domains === undefined) return [];
+  if (!domains || typeof domains !== "object" || Array.isArray(domains)) return null;
+  const entries = Object.entries(domains);
+  if (entries.length > MAX_SESSION_DOMAINS) return null;
+  const out = [];
+  for (const [domain, ms] of entries) {
+    if (!domain || domain.length > 253) return null;
+    if (!Number.isFinite(ms) || ms < 0 || ms > MAX_SESSION_MS) return null;
+    out.push({ domain: domain.toLowerCase(), ms: Math.round(ms) });
+  }
+  return out;
+}
+
+// GET /focus-sessions?startDate=&endDate= — oldest first
+app.get("/focus-sessions", requireAuth, async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    const match = { userId: req.userId };
+    if (startDate && endDate && DATE_RE.test(startDate) && DATE_RE.test(endDate)) {
+      match.date = { $gte: startDate, $lte: endDate };
+    }
+    const sessions = await FocusSession.find(match)
+      .sort({ startedAt: -1 })
+      .limit(MAX_SESSIONS_RETURNED)
+      .select("-_id -userId -__v -updatedAt")
+      .lean();
+    res.json(sessions.reverse().map((s) => ({
+      ...s,
+      domains: Object.fromEntries((s.domains || []).map((d) => [d.domain, d.ms])),
+    })));
+  } catch (err) {
+    console.error("GET /focus-sessions:", err.message);
+    res.status(500).json({ error: "Failed to load focus sessions" });
+  }
+});
+
+// POST /focus-sessions — { deviceId, sessions: [{ sessionId, date, startedAt,
+// plannedEnd, endedAt, hard, allowlist, pomodoro, outcome, blockedAttempts,
+// task, domains: { domain: ms } }] }. Times are epoch milliseconds.
+app.post("/focus-sessions", requireAuth, async (req, res) => {
+  const { deviceId, sessions } = req.body;
+  if (!deviceId || typeof deviceId !== "string" || !DEVICE_ID_RE.test(deviceId))
+    return res.status(400).json({ error: "Valid deviceId required" });
+  if (!Array.isArray(sessions) || sessions.length === 0)
+    return res.status(400).json({ error: "sessions must be a non-empty array" });
+  if (sessions.length > MAX_TIME_ENTRIES_PER_REQUEST)
+    return res.status(400).json({ error: `At most ${MAX_TIME_ENTRIES_PER_REQUEST} sessions per request` });
+
+  const ops = [];
+  for (const s of sessions) {
+    if (!s || typeof s.sessionId !== "string" || !SESSION_ID_RE.test(s.sessionId))
+      return res.status(400).json({ error: "Each session needs a valid sessionId" });
+    if (!DATE_RE.test(s.date))
+      return res.status(400).json({ error: "Each session needs a date (YYYY-MM-DD)" });
+    const times = [s.startedAt, s.plannedEnd, s.endedAt];
+    if (!times.every(Number.isFinite) || s.plannedEnd < s.startedAt || s.endedAt < s.startedAt ||
+        s.plannedEnd - s.startedAt > MAX_SESSION_MS || s.endedAt - s.startedAt > MAX_SESSION_MS)
+      return res.status(400).json({ error: "Each session needs startedAt <= plannedEnd, endedAt within 24h" });
+    if (!["completed", "abandoned"].includes(s.outcome))
+      return res.status(400).json({ error: "outcome must be completed or abandoned" });
+    if (s.blockedAttempts !== undefined && (!Number.isInteger(s.blockedAttempts) || s.blockedAttempts < 0))
+      return res.status(400).json({ error: "blockedAttempts must be a non-negative integer" });
+    if (s.task !== undefined && (typeof s.task !== "string" || s.task.length > MAX_TASK_LENGTH))
+      return res.status(400).json({ error: `task must be a string of at most ${MAX_TASK_LENGTH} characters` });
+    const domains = validateSessionDomains(s.domains);
+    if (!domains)
+      return res.status(400).json({ error: `domains must map at most ${MAX_SESSION_DOMAINS} domains to milliseconds` });
+    ops.push({
+      updateOne: {
+        filter: { userId: req.userId, sessionId: s.sessionId },
+        update: {
+          $set: {
+            deviceId, date: s.date,
+            startedAt: new Date(s.startedAt), plannedEnd: new Date(s.plannedEnd), endedAt: new Date(s.endedAt),
+            hard: !!s.hard, allowlist: !!s.allowlist, pomodoro: !!s.pomodoro,
+            outcome: s.outcome, blockedAttempts: s.blockedAttempts || 0,
+            task: (s.task || "").trim(), domains,
+            updatedAt: new Date(),
+          }
+        },
+        upsert: true,
+      }
+    });
+  }
+
+  try {
+    await FocusSession.bulkWrite(ops, { ordered: false });
+    res.json({ success: true, count: ops.length });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true, count: ops.length });
+    console.error("POST /focus-sessions:", err.message);
+    res.status(500).json({ error: "Failed to save focus sessions" });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────
+// BLOCK SCHEDULES
+// ─────────────────────────────────────────────────────────────────────
+const SCHEDULE_ID_RE = /^[\w-]{1,64}$/;
+const MAX_SCHEDULES = 20;
+const MAX_SCHEDULE_WINDOWS = 6;
+const MAX_SCHEDULE_SITES = 100;
+
+function toScheduleJSON(s) {
+  return {
+    id: s.scheduleId, name: s.name, days: s.days, windows: s.windows,
+    useBlockList: s.useBlockList, sites: s.sites, enabled: s.enabled,
+  };
+}
+
+app.get("/block-schedules", requireAuth, async (req, res) => {
+  try {
+    const schedules = await BlockSchedule.find({ userId: req.userId }).sort({ scheduleId: 1 }).lean();
+    res.json(schedules.map(toScheduleJSON));
+  } catch (err) {
+    console.error("GET /block-schedules:", err.message);
+    res.status(500).json({ error: "Failed to load schedules" });
+  }
+});
+
+// POST /block-schedules — create or replace one schedule (client-generated id)
+app.post("/block-schedules", requireAuth, async (req, res) => {
+  const { id, name = "", days, windows, useBlockList = true, sites = [], enabled = true } = req.body;
+
+  if (typeof id !== "string" || !SCHEDULE_ID_RE.test(id))
+    return res.status(400).json({ error: "Valid schedule id required" });
+  if (typeof name !== "string" || name.length > 64)
+    return res.status(400).json({ error: "Name must be 64 characters or fewer" });
+  if (!Array.isArray(days) || days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))
+    return res.status(400).json({ error: "days must be a non-empty list of 0 (Sun) – 6 (Sat)" });
+  if (!Array.isArray(windows) || windows.length === 0 || windows.length > MAX_SCHEDULE_WINDOWS)
+    return res.status(400).json({ error: `Between 1 and ${MAX_SCHEDULE_WINDOWS} time windows required` });
+  for (const w of windows) {
+    if (!w || !Number.isInteger(w.start) || !Number.isInteger(w.end) ||
+        w.start < 0 || w.start > 1439 || w.end < 0 || w.end > 1440 || w.start === w.end)
+      return res.status(400).json({ error: "Each window needs start and end minutes (0–1440) that differ" });
+  }
+  if (typeof useBlockList !== "boolean" || typeof enabled !== "boolean")
+    return res.status(400).json({ error: "useBlockList and enabled must be booleans" });
+  if (!Array.isArray(sites) || sites.length > MAX_SCHEDULE_SITES)
+    return res.status(400).json({ error: `At most ${MAX_SCHEDULE_SITES} sites per schedule` });
+
+  const normalizedSites = [];
+  for (const site of sites) {
+    const n = typeof site === "string" && site.length <= 253 ? normalizeDomain(site) : "";
+    if (!n || !n.includes(".")) return res.status(400).json({ error: `Invalid site: ${site}` });
+    if (!normalizedSites.includes(n)) normalizedSites.push(n);
+  }
+  if (!useBlockList && normalizedSites.length === 0)
+    return res.status(400).json({ error: "Add at least one site or use the blocked-sites list" });
+
+  try {
+    const existing = await BlockSchedule.countDocuments({ userId: req.userId, scheduleId: { $ne: id } });
+    if (existing >= MAX_SCHEDULES)
+      return res.status(400).json({ error: `At most ${MAX_SCHEDULES} schedules` });
+
+    const doc = {
+      userId: req.userId,
+      scheduleId: id,
+      name: name.trim(),
+      days: [...new Set(days)].sort((a, b) => a - b),
+      windows: windows.map(w => ({ start: w.start, end: w.end })),
+      useBlockList,
+      sites: normalizedSites,
+      enabled,
+      updatedAt: new Date(),
+    };
+    await BlockSchedule.updateOne({ userId: req.userId, scheduleId: id }, { $set: doc }, { upsert: true });
+    res.json({ success: true, schedule: toScheduleJSON(doc) });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true });
+    console.error("POST /block-schedules:", err.message);
+    res.status(500).json({ error: "Failed to save schedule" });
+  }
+});
+
+app.delete("/block-schedules/:id", requireAuth, async (req, res) => {
+  try {
+    await BlockSchedule.deleteOne({ userId: req.userId, scheduleId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /block-schedules:", err.message);
+    res.status(500).json({ error: "Failed to delete schedule" });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────
+// DAILY BUDGETS
+// ─────────────────────────────────────────────────────────────────────
+const BUDGET_KINDS = ["domain", "category"];
+const MAX_BUDGETS = 50;
+
+function toBudgetJSON(b) {
+  return { kind: b.kind, target: b.target, minutes: b.minutes, warnAt: b.warnAt ?? 80 };
+}
+
+app.get("/budgets", requireAuth, async (req, res) => {
+  try {
+    const budgets = await Budget.find({ userId: req.userId }).sort({ kind: 1, target: 1 }).lean();
+    res.json(budgets.map(toBudgetJSON));
+  } catch (err) {
+    console.error("GET /budgets:", err.message);
+    res.status(500).json({ error: "Failed to load budgets" });
+  }
+});
+
+// POST /budgets — create or update the budget for one domain or category
+app.post("/budgets", requireAuth, async (req, res) => {
+  const { kind, minutes, warnAt = 80 } = req.body;
+  let { target } = req.body;
+
+  if (!BUDGET_KINDS.includes(kind))
+    return res.status(400).json({ error: "kind must be \"domain\" or \"category\"" });
+  if (typeof target !== "string" || !target.trim() || target.length > 253)
+    return res.status(400).json({ error: "target required" });
+  if (kind === "domain") {
+    target = normalizeDomain(target);
+    if (!target || !target.includes(".")) return res.status(400).json({ error: "Invalid domain" });
+  } else {
+    target = target.trim();
+    if (target.length > 64) return res.status(400).json({ error: "Category must be 64 characters or fewer" });
+  }
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440)
+    return res.status(400).json({ error: "minutes must be an integer 1–1440" });
+  if (!Number.isInteger(warnAt) || warnAt < 0 || warnAt > 99)
+    return res.status(400).json({ error: "warnAt must be an integer 0–99" });
+
+  try {
+    const others = await Budget.countDocuments({ userId: req.userId, $nor: [{ kind, target }] });
+    if (others >= MAX_BUDGETS)
+      return res.status(400).json({ error: `At most ${MAX_BUDGETS} budgets` });
+
+    await Budget.updateOne(
+      { userId: req.userId, kind, target },
+      { $set: { minutes, warnAt, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ success: true, budget: { kind, target, minutes, warnAt } });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true });
+    console.error("POST /budgets:", err.message);
+    res.status(500).json({ error: "Failed to save budget" });
+  }
+});
+
+app.delete("/budgets/:kind/:target", requireAuth, async (req, res) => {
+  if (!BUDGET_KINDS.includes(req.params.kind))
+    return res.status(400).json({ error: "kind must be \"domain\" or \"category\"" });
+  try {
+    await Budget.deleteOne({ userId: req.userId, kind: req.params.kind, target: decodeURIComponent(req.params.target).trim() });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /budgets:", err.message);
+    res.status(500).json({ error: "Failed to delete budget" });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────
+// DAILY GOALS
+// ─────────────────────────────────────────────────────────────────────
+const GOAL_ID_RE = /^[\w-]{1,64}$/;
+const GOAL_TYPES = ["min", "max"];
+const MAX_GOALS = 50;
+
+function toGoalJSON(g) {
+  return { id: g.goalId, category: g.category, type: g.type, minutes: g.minutes, days: g.days };
+}
+
+app.get("/goals", requireAuth, async (req, res) => {
+  try {
+    const goals = await Goal.find({ userId: req.userId }).sort({ category: 1, goalId: 1 }).lean();
+    res.json(goals.map(toGoalJSON));
+  } catch (err) {
+    console.error("GET /goals:", err.message);
+    res.status(500).json({ error: "Failed to load goals" });
+  }
+});
+
+// POST /goals — create or replace one goal (client-generated id)
+app.post("/goals", requireAuth, async (req, res) => {
+  const { id, type, minutes, days } = req.body;
+  let { category } = req.body;
+
+  if (typeof id !== "string" || !GOAL_ID_RE.test(id))
+    return res.status(400).json({ error: "Valid goal id required" });
+  if (typeof category !== "string" || !category.trim() || category.trim().length > 64)
+    return res.status(400).json({ error: "category required (64 characters or fewer)" });
+  category = category.trim();
+  if (!GOAL_TYPES.includes(type))
+    return res.status(400).json({ error: "type must be \"min\" or \"max\"" });
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440)
+    return res.status(400).json({ error: "minutes must be an integer 1–1440" });
+  if (!Array.isArray(days) || days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))
+    return res.status(400).json({ error: "days must be a non-empty list of 0 (Sun) – 6 (Sat)" });
+
+  try {
+    const others = await Goal.countDocuments({ userId: req.userId, goalId: { $ne: id } });
+    if (others >= MAX_GOALS)
+      return res.status(400).json({ error: `At most ${MAX_GOALS} goals` });
+
+    const doc = {
+      userId: req.userId,
+      goalId: id,
+      category,
+      type,
+      minutes,
+      days: [...new Set(days)].sort((a, b) => a - b),
+      updatedAt: new Date(),
+    };
+    await Goal.updateOne({ userId: req.userId, goalId: id }, { $set: doc }, { upsert: true });
+    res.json({ success: true, goal: toGoalJSON(doc) });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true });
+    console.error("POST /goals:", err.message);
+    res.status(500).json({ error: "Failed to save goal" });
+  }
+});
+
+app.delete("/goals/:id", requireAuth, async (req, res) => {
+  try {
+    await Goal.deleteOne({ userId: req.userId, goalId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("DELETE /goals:", err.message);
+    res.status(500).json({ error: "Failed to delete goal" });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────
 // PREFERENCES
 // ─────────────────────────────────────────────────────────────────────
+const POMODORO_LIMITS = {
+  workMin: [5, 180],
+  shortBreakMin: [1, 60],
+  longBreakMin: [1, 120],
+  roundsBeforeLong: [1, 12],
+};
+const POMODORO_DEFAULTS = { workMin: 25, shortBreakMin: 5, longBreakMin: 15, roundsBeforeLong: 4, autoAdvance: true };
+
+function toPomodoroJSON(p) {
+  const out = { ...POMODORO_DEFAULTS };
+  for (const k in out) if (p && p[k] !== undefined && p[k] !== null) out[k] = p[k];
+  return out;
+}
+
+// Returns { value } with every field filled in, or { error }
+function validatePomodoro(p) {
+  if (!p || typeof p !== "object" || Array.isArray(p)) return { error: "pomodoro must be an object" };
+  const value = { ...POMODORO_DEFAULTS };
+  for (const [k, [min, max]] of Object.entries(POMODORO_LIMITS)) {
+    if (p[k] === undefined) continue;
+    if (!Number.isInteger(p[k]) || p[k] < min || p[k] > max)
+      return { error: `pomodoro.${k} must be an integer ${min}–${max}` };
+    value[k] = p[k];
+  }
+  if (p.autoAdvance !== undefined) {
+    if (typeof p.autoAdvance !== "boolean") return { error: "pomodoro.autoAdvance must be a boolean" };
+    value.autoAdvance = p.autoAdvance;
+  }
+  return { value };
+}
+
 app.get("/preferences", requireAuth, async (req, res) => {
   try {
     let prefs = await Preferences.findOne({ userId: req.userId });
     if (!prefs) {
       prefs = await Preferences.create({ userId: req.userId, theme: "light", accentColor: "indigo" });
     }
-    res.json({ theme: prefs.theme, accentColor: prefs.accentColor });
+    res.json({
+      theme: prefs.theme,
+      accentColor: prefs.accentColor,
+      dayStartHour: prefs.dayStartHour ?? 0,
+      pomodoro: toPomodoroJSON(prefs.pomodoro),
+    });
   } catch (err) {
     console.error("GET /preferences:", err.message);
     res.status(500).json({ error: "Failed to load preferences" });
@@ -1230,17 +2032,29 @@ app.get("/preferences", requireAuth, async (req, res) => {
 });
 
 app.post("/preferences", requireAuth, async (req, res) => {
-  const { theme, accentColor } = req.body;
+  const { theme, accentColor, dayStartHour, pomodoro } = req.body;
   const validThemes = ["light", "dark"];
   const validAccents = ["green", "blue", "purple", "red", "orange", "indigo"];
 
   const safeTheme = validThemes.includes(theme) ? theme : "light";
   const safeAccent = validAccents.includes(accentColor) ? accentColor : "indigo";
 
+  const update = { theme: safeTheme, accentColor: safeAccent, updatedAt: new Date() };
+  if (dayStartHour !== undefined) {
+    if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 23)
+      return res.status(400).json({ error: "dayStartHour must be an integer 0–23" });
+    update.dayStartHour = dayStartHour;
+  }
+  if (pomodoro !== undefined) {
+    const { value, error } = validatePomodoro(pomodoro);
+    if (error) return res.status(400).json({ error });
+    update.pomodoro = value;
+  }
+
   try {
     await Preferences.updateOne(
       { userId: req.userId },
-      { $set: { theme: safeTheme, accentColor: safeAccent, updatedAt: new Date() } },
+      { $set: update },
       { upsert: true }
     );
     res.json({ success: true });
@@ -1,54 +1,32 @@
-/* =========================================================
-   KEEPALIVE
-========================================================= */
-const KEEPALIVE_ALARM = "focus-tracker-keepalive";
-const HEARTBEAT_MS    = 20_000;
-const ALARM_INTERVAL  = 0.4;
-
-let _heartbeatTimer = null;
-
-function startHeartbeat() {
-  if (_heartbeatTimer) return;
-  _heartbeatTimer = setInterval(() => {
-    chrome.storage.local.set({ _sw_heartbeat: Date.now() });
-  }, HEARTBEAT_MS);
-}
-
-async function registerKeepaliveAlarm() {
-  const existing = await chrome.alarms.get(KEEPALIVE_ALARM);
-  if (!existing) {
-    chrome.alarms.create(KEEPALIVE_ALARM, {
-      delayInMinutes: ALARM_INTERVAL,
-      periodInMinutes: ALARM_INTERVAL
-    });
-  }
-}
-
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === KEEPALIVE_ALARM) {
-    startHeartbeat();
-    chrome.storage.local.set({ _sw_heartbeat: Date.now() });
-  }
-});
-
-startHeartbeat();
-registerKeepaliveAlarm();
+importScripts("timeStore.js");
 
 /* =========================================================
    GLOBAL STATE
 ========================================================= */
 let currentDomain   = null;
-let bufferTime      = {};
+let currentTabId    = null;
+let currentWindowId = null;
+let currentPath     = "";     // pathname + search of the active tab
+let currentEntity   = null;   // channel / subreddit / repo / tag, see ENTITY EXTRACTION
+let bufferDays      = {};   // day key → unflushed time, see dayBuffer()
+let bufferAway      = {};
 
 let focusModeOn     = false;
+let focusAllowlist  = false;   // allowlist-only session, see ALLOWLIST FOCUS
 let hardFocusActive = false;
 let focusLockUntil  = 0;
-let pomodoroTimer   = null;
-
-const BASE_RULE_ID  = 1000;
-const MAX_RULES     = 100;
-
-let categoryMappings = {};
+let focusEndsAt     = 0;      // when the session ends, see FOCUS MODE
+let pomodoro        = null;   // running Pomodoro cycle, see POMODORO
+let focusSession    = null;   // the open session's record, see FOCUS HISTORY
+let focusTask       = "";     // what the user is working on, see FOCUS HISTORY
+let activeSchedules = [];   // schedules whose window is open right now, see BLOCK SCHEDULES
+
+const BASE_RULE_ID  = 1000;   // block rules take ids from here up, see BUILD BLOCK RULES
+
+let categoryMappings = {};   // host → category
+let pathRules        = [];   // [{ key, host, prefix, category }], longest prefix first
+let entityRules      = {};   // "host#entity" → category
+let focusBlockCategories = [];   // category ids marked "block during focus", see CATEGORY BLOCKING
 let authToken        = null;
 
 // const BG_API_BASE = "http://localhost:5000";
@@ -74,10 +52,68 @@ function getDomain(url) {
   catch { return null; }
 }
 
-function getTodayKey() { return new Date().toISOString().split("T")[0]; }
+/* Day keys are the user's LOCAL date, shifted by dayStartHour so that
+   e.g. with 4 → 02:30 still counts toward the previous day. */
+let dayStartHour = 0;
+
+function pad2(n) { return String(n).padStart(2, "0"); }
+
+function getDayKey(ts = Date.now()) {
+  const d = new Date(ts - dayStartHour * 3600000);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+function getTodayKey() { return getDayKey(); }
+
+// First instant after `ts` that belongs to the next day key
+function nextDayBoundary(ts) {
+  const d = new Date(ts - dayStartHour * 3600000);
+  d.setHours(24, 0, 0, 0);
+  return d.getTime() + dayStartHour * 3600000;
+}
+
+function loadDayStartHour() {
+  return new Promise((resolve) => chrome.storage.local.get(["dayStartHour"], (d) => {
+    const h = parseInt(d.dayStartHour, 10);
+    dayStartHour = h >= 0 && h <= 23 ? h : 0;
+    resolve(dayStartHour);
+  }));
+}
+
+/* Category mappings whose key carries a path ("youtube.com/playlist?list=",
+   "reddit.com/r/programming") are path-prefix rules. They win over the
+   host mapping for URLs under that prefix, and time spent under them is
+   also kept per rule in timeData[day][domain].paths. */
+function parsePathRule(key) {
+  const slash = key.indexOf("/");
+  if (slash < 1) return null;
+  return { host: normalizeDomain(key.slice(0, slash)), prefix: key.slice(slash) };
+}
+
+function pathRuleMatches(rule, domain, path) {
+  if (domain !== rule.host && !domain.endsWith("." + rule.host)) return false;
+  if (!path.startsWith(rule.prefix)) return false;
+  // "/r/programming" must not swallow "/r/programmingcirclejerk"
+  if (/[/?=&]$/.test(rule.prefix)) return true;
+  const next = path.charAt(rule.prefix.length);
+  return next === "" || "/?&#".includes(next);
+}
+
+function findPathRule(domain, path) {
+  if (!domain || !path) return null;
+  return pathRules.find((r) => pathRuleMatches(r, domain, path)) || null;
+}
+
+function entityCategory(domain, entity) {
+  const host = ENTITY_EXTRACTORS.find((x) => x.hosts.test(domain))?.key;
+  return (host && entityRules[`${host}#${entity}`]) || null;
+}
 
-function getCategory(domain) {
+function getCategory(domain, path, entity) {
   if (!domain) return "Other";
+  if (entity && entityCategory(domain, entity)) return entityCategory(domain, entity);
+  const rule = findPathRule(domain, path);
+  if (rule) return rule.category;
   const n = normalizeDomain(domain);
   if (categoryMappings[n]) return categoryMappings[n];
   const parts = n.split(".");
@@ -120,306 +156,2517 @@ function getUserId() {
   }
 }
 
-function timeDataKey()     { return `timeData_${getUserId()}`; }
-function blockedSitesKey() { return `blockedSites_${getUserId()}`; }
+function timeDataKey()     { return `timeData_${getUserId()}`; }
+function awayDataKey()     { return `awayData_${getUserId()}`; }
+function remoteTimeKey()   { return `remoteTimeData_${getUserId()}`; }
+function visitsKey()       { return `visits_${getUserId()}`; }
+function timeVersionKey()  { return `timeDataVersion_${getUserId()}`; }
+function timeResyncKey()   { return `timeResync_${getUserId()}`; }
+function timeSyncKey()     { return `timeSyncPending_${getUserId()}`; }
+function blockedSitesKey() { return `blockedSites_${getUserId()}`; }
+function allowedSitesKey() { return `allowedSites_${getUserId()}`; }
+function schedulesKey()    { return `blockSchedules_${getUserId()}`; }
+function budgetsKey()      { return `budgets_${getUserId()}`; }
+function budgetStateKey()  { return `budgetState_${getUserId()}`; }
+function unblockLogKey()   { return `unblockLog_${getUserId()}`; }
+function attemptsKey()     { return `blockAttempts_${getUserId()}`; }
+function attemptSyncKey()  { return `blockAttemptsPending_${getUserId()}`; }
+function remoteAttemptsKey() { return `remoteBlockAttempts_${getUserId()}`; }
+function focusHistoryKey()     { return `focusSessions_${getUserId()}`; }
+function focusHistorySyncKey() { return `focusSessionsPending_${getUserId()}`; }
+function recentTasksKey()      { return `recentFocusTasks_${getUserId()}`; }
+function goalsKey()            { return `goals_${getUserId()}`; }
+function goalStateKey()        { return `goalState_${getUserId()}`; }
+function categoryLabelsKey()   { return `categoryLabels_${getUserId()}`; }
+function categoryRulesKey()    { return `categoryRules_${getUserId()}`; }
+
+/* =========================================================
+   ACTIVITY STATE
+   Tracking only runs while the user is "present": chrome.idle
+   reports "active" AND some browser window has focus. Every
+   other state (idle, locked, another app in front) suspends
+   trackOneSecond(). When recordIdleGaps is on, the length of
+   each gap is stored per day under awayData_<userId> so the
+   dashboard can show "away" time separately.
+========================================================= */
+const DEFAULT_IDLE_THRESHOLD_SEC = 120;
+const MIN_IDLE_THRESHOLD_SEC     = 15;   // chrome.idle rejects anything lower
+
+let idleState      = "active";  // "active" | "idle" | "locked"
+let browserFocused = true;
+let awayReason     = null;      // why tracking is paused, null while present
+let awayStartedAt  = 0;
+let recordIdleGaps = false;
+
+function isUserPresent() {
+  return idleState === "active" && browserFocused;
+}
+
+function currentAwayReason() {
+  if (idleState === "locked") return "locked";
+  if (idleState === "idle")   return "idle";
+  if (!browserFocused)        return "unfocused";
+  return null;
+}
+
+// Adds [from, to) to bufferAway, split at day boundaries so each day gets its share.
+function bufferAwayGap(reason, from, to) {
+  while (from < to) {
+    const end = Math.min(to, nextDayBoundary(from));
+    const day = getDayKey(from);
+    bufferAway[day] = bufferAway[day] || {};
+    bufferAway[day][reason] = (bufferAway[day][reason] || 0) + (end - from);
+    from = end;
+  }
+}
+
+function updateActivityState() {
+  const reason = currentAwayReason();
+  if (reason === awayReason) return;
+
+  const now = Date.now();
+  if (awayReason && recordIdleGaps) bufferAwayGap(awayReason, awayStartedAt, now);
+
+  awayReason    = reason;
+  awayStartedAt = reason ? now : 0;
+  console.log(`[Activity] ${reason ? `paused (${reason})` : "resumed"}`);
+}
+
+function applyIdleThreshold(seconds) {
+  const s = Math.max(MIN_IDLE_THRESHOLD_SEC, parseInt(seconds, 10) || DEFAULT_IDLE_THRESHOLD_SEC);
+  chrome.idle.setDetectionInterval(s);
+  chrome.idle.queryState(s, (state) => {
+    idleState = state;
+    updateActivityState();
+  });
+}
+
+function loadActivitySettings() {
+  chrome.storage.local.get(["idleThresholdSec", "recordIdleGaps"], (d) => {
+    recordIdleGaps = !!d.recordIdleGaps;
+    applyIdleThreshold(d.idleThresholdSec);
+  });
+}
+
+chrome.idle.onStateChanged.addListener((state) => {
+  idleState = state;
+  updateActivityState();
+});
+
+loadActivitySettings();
+
+chrome.windows.getLastFocused((win) => {
+  if (chrome.runtime.lastError) return;
+  browserFocused = !!win?.focused;
+  updateActivityState();
+});
+
+/* =========================================================
+   TIME TRACKING
+   Each second is buffered under the day key and local hour
+   of the moment it was counted, so a flush that runs after
+   midnight or the day-start hour still files it correctly.
+========================================================= */
+
+// Unflushed time for one day:
+// { time: { domain: ms }, hours: { domain: { localHour: ms } },
+//   paths: { domain: { pathRulePrefix: ms } }, entities: { domain: { entity: ms } },
+//   listening: { domain: ms } (see LISTENING) }
+function dayBuffer(day) {
+  return bufferDays[day] = bufferDays[day] || { time: {}, hours: {}, paths: {}, entities: {}, listening: {} };
+}
+
+function trackOneSecond() {
+  const now    = Date.now();
+  const active = isUserPresent() && currentDomain && currentDomain.length >= 2;
+  trackListening(active ? currentTabId : null, now);
+  if (!active) { closeVisit(); broadcastLive(); return; }
+  const b = dayBuffer(getDayKey(now));
+  b.time[currentDomain] = (b.time[currentDomain] || 0) + 1000;
+  creditFocusSession(currentDomain);
+  const hour  = new Date(now).getHours();
+  const hours = b.hours[currentDomain] = b.hours[currentDomain] || {};
+  hours[hour] = (hours[hour] || 0) + 1000;
+  if (currentEntity) {
+    const ents = b.entities[currentDomain] = b.entities[currentDomain] || {};
+    ents[currentEntity] = (ents[currentEntity] || 0) + 1000;
+  }
+  const rule = findPathRule(currentDomain, currentPath);
+  if (rule) {
+    const paths = b.paths[currentDomain] = b.paths[currentDomain] || {};
+    paths[rule.prefix] = (paths[rule.prefix] || 0) + 1000;
+  }
+  extendVisit(now);
+  broadcastLive();
+}
+
+/* =========================================================
+   LIVE STREAM
+   The worker is the only writer of timeData_. Open dashboards
+   and popups connect a "live-time" port and get, every second,
+   the time not yet in storage: the buffers plus any flush that
+   is still being written. They render stored totals + this
+   delta, and re-read storage when a message says `flushed`.
+========================================================= */
+const LIVE_PORT_NAME = "live-time";
+const livePorts      = new Set();
+let   liveInFlight   = null;   // day buffers handed to flushBufferToStorage, not yet written
+
+function sumInto(target, src, nested) {
+  for (const d in src || {}) {
+    if (!nested) { target[d] = (target[d] || 0) + src[d]; continue; }
+    target[d] = target[d] || {};
+    for (const k in src[d]) target[d][k] = (target[d][k] || 0) + src[d][k];
+  }
+  return target;
+}
+
+function liveSnapshot() {
+  const today = getTodayKey();
+  const time = {}, listening = {}, paths = {}, entities = {};
+  [liveInFlight?.[today], bufferDays[today]]
+    .forEach((b) => {
+      if (!b) return;
+      sumInto(time, b.time);
+      sumInto(listening, b.listening);
+      sumInto(paths, b.paths, true);
+      sumInto(entities, b.entities, true);
+    });
+  // Host categories, plus the categories of the path rules and entities the
+  // buffered time was split by, so readers can split it as categoryTotals() does
+  const categories = {}, pathCategories = {}, entityCategories = {};
+  new Set([...Object.keys(time), ...Object.keys(listening)]).forEach((d) => { categories[d] = getCategory(d); });
+  for (const d in paths) {
+    pathCategories[d] = {};
+    for (const p in paths[d]) pathCategories[d][p] = findPathRule(d, p)?.category || null;
+  }
+  for (const d in entities) {
+    entityCategories[d] = {};
+    for (const x in entities[d]) entityCategories[d][x] = entityCategory(d, x);
+  }
+  return { type: "LIVE_DELTA", day: today, time, listening, paths, entities, categories, pathCategories, entityCategories };
+}
+
+function broadcastLive(flushed = false) {
+  if (livePorts.size === 0) return;
+  const msg = { ...liveSnapshot(), flushed };
+  livePorts.forEach((port) => {
+    try { port.postMessage(msg); } catch { livePorts.delete(port); }
+  });
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== LIVE_PORT_NAME) return;
+  livePorts.add(port);
+  port.onDisconnect.addListener(() => livePorts.delete(port));
+  port.postMessage({ ...liveSnapshot(), flushed: false });
+});
+
+/* =========================================================
+   LISTENING
+   Audible, unmuted tabs whose second wasn't already counted
+   as active time — a lecture in a background tab, or a video
+   in front while chrome.idle reports no input — are tracked
+   as `listening` ms next to `time`. Nothing counts while the
+   screen is locked.
+========================================================= */
+const audibleTabs = new Map();   // tabId → domain
+
+function updateAudibleTab(tab) {
+  const d    = tab.audible && !tab.mutedInfo?.muted ? getDomain(tab.url) : null;
+  const mode = d ? privacyMode(d, tab.incognito) : "skip";
+  if (mode === "skip") audibleTabs.delete(tab.id);
+  else                 audibleTabs.set(tab.id, mode === "private" ? PRIVATE_BUCKET : d);
+}
+
+function trackListening(activeTabId, now) {
+  if (idleState === "locked" || audibleTabs.size === 0) return;
+  const domains = new Set();
+  audibleTabs.forEach((d, tabId) => { if (tabId !== activeTabId) domains.add(d); });
+  const listening = domains.size ? dayBuffer(getDayKey(now)).listening : null;
+  domains.forEach((d) => { listening[d] = (listening[d] || 0) + 1000; });
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if ("audible" in changeInfo || changeInfo.mutedInfo || changeInfo.url) updateAudibleTab(tab);
+});
+chrome.tabs.onRemoved.addListener((tabId) => audibleTabs.delete(tabId));
+chrome.tabs.query({ audible: true }, (tabs) => {
+  if (chrome.runtime.lastError) return;
+  tabs.forEach(updateAudibleTab);
+});
+
+/* =========================================================
+   VISIT TIMELINE
+   Alongside the per-day totals, every stretch of continuous
+   time on one domain in one tab is kept as a segment
+   { domain, start, end, tabId, windowId } under
+   visits_<userId>[day]. The open segment is written on every
+   flush and replaced in place as it grows, so the dashboard
+   timeline is never more than one flush behind.
+========================================================= */
+const VISIT_GAP_MS       = 2500;  // a missed tick or two doesn't split a visit
+const MAX_VISITS_PER_DAY = 5000;
+
+let openVisit    = null;
+let bufferVisits = [];
+
+function extendVisit(now) {
+  const v = openVisit;
+  if (v && v.domain === currentDomain && v.tabId === currentTabId &&
+      now - v.end <= VISIT_GAP_MS && getTodayKey() === v.day) {
+    v.end = now;
+    return;
+  }
+  closeVisit();
+  openVisit = {
+    day:      getTodayKey(),
+    domain:   currentDomain,
+    start:    now - 1000,
+    end:      now,
+    tabId:    currentTabId,
+    windowId: currentWindowId
+  };
+}
+
+function closeVisit() {
+  if (!openVisit) return;
+  bufferVisits.push(openVisit);
+  openVisit = null;
+}
+
+async function flushVisits() {
+  const pendingVisits = openVisit ? [...bufferVisits, { ...openVisit }] : bufferVisits;
+  bufferVisits = [];
+  if (pendingVisits.length === 0) return;
+
+  const key    = visitsKey();
+  const visits = await new Promise((resolve) =>
+    chrome.storage.local.get([key], (res) => resolve(res[key] || {}))
+  );
+  pendingVisits.forEach(({ day, ...seg }) => {
+    const list = visits[day] = visits[day] || [];
+    const last = list[list.length - 1];
+    // Same segment seen in an earlier flush while it was still open — update it
+    if (last && last.start === seg.start && last.tabId === seg.tabId) list[list.length - 1] = seg;
+    else if (list.length < MAX_VISITS_PER_DAY) list.push(seg);
+  });
+  chrome.storage.local.set({ [key]: visits });
+}
+
+async function flushAwayBuffer() {
+  // Fold the still-open gap in so long absences show up before they end
+  if (awayReason && recordIdleGaps) {
+    const now = Date.now();
+    bufferAwayGap(awayReason, awayStartedAt, now);
+    awayStartedAt = now;
+  }
+  if (Object.keys(bufferAway).length === 0) return;
+  const captured = bufferAway;
+  bufferAway     = {};
+  const key      = awayDataKey();
+  const awayData = await new Promise((resolve) =>
+    chrome.storage.local.get([key], (res) => resolve(res[key] || {}))
+  );
+  for (const day in captured) {
+    awayData[day] = awayData[day] || {};
+    for (const reason in captured[day]) {
+      awayData[day][reason] = (awayData[day][reason] || 0) + captured[day][reason];
+    }
+  }
+  chrome.storage.local.set({ [key]: awayData });
+}
+
+/* =========================================================
+   TIME DATA FORMAT
+   timeData_<userId> = {
+     "YYYY-MM-DD": {
+       "<domain>": { time, category, hours: { "<0-23>": ms } }
+     }
+   }
+   Optional `paths: { "<rule prefix>": ms }` holds the share of
+   `time` spent under a path-prefix category rule, and optional
+   `entities: { "<entity>": ms }` the share per extracted entity
+   (YouTube channel, subreddit, GitHub repo, Stack Overflow tag).
+   Optional `listening` is audible background time, separate
+   from `time` (see LISTENING).
+   `hours` buckets time by local hour of day for the dashboard
+   heatmap. Version 1 data (bare numbers per domain, or a
+   single undated day) is upgraded once by migrateTimeData();
+   its time predates hourly tracking, so `hours` starts empty
+   and time may exceed the sum of the buckets.
+   Up to version 2 days were keyed by UTC date; version 3 keys
+   them by local date (see getDayKey) and the migration re-keys
+   the old history as well as the stored detail allows.
+   Up to version 3 this whole object was one chrome.storage
+   key; version 4 keeps the same entries as IndexedDB records
+   (see timeStore.js) and the migration moves them there.
+========================================================= */
+const TIME_DATA_VERSION = 4;
+
+let _timeMigration = null;
+
+async function migrateTimeData() {
+  const key  = timeDataKey();
+  const vKey = timeVersionKey();
+  const d    = await new Promise((resolve) => chrome.storage.local.get([key, vKey], resolve));
+  const version = d[vKey] || 1;
+  if (version >= TIME_DATA_VERSION) return;
+
+  let timeData = d[key] || {};
+  if (version < 3) {
+    const isDated = Object.keys(timeData).every((k) => /^\d{4}-\d{2}-\d{2}$/.test(k));
+    // Undated data is v1, written under today's UTC date — the re-key below handles it
+    if (!isDated) timeData = { [new Date().toISOString().split("T")[0]]: timeData };
+
+    for (const day in timeData) {
+      for (const domain in timeData[day]) {
+        const e = timeData[day][domain];
+        timeData[day][domain] = typeof e === "number"
+          ? { time: e, category: getCategory(domain), hours: {} }
+          : { time: e.time || 0, category: e.category || getCategory(domain), hours: e.hours || {} };
+      }
+    }
+    await loadDayStartHour();
+    timeData = await rekeyUtcHistory(timeData);
+  }
+  // Merged, not overwritten: a flush may already have written today. The old
+  // blob goes right after, so a restarted move finds nothing left to add.
+  await mergeTimeData(getUserId(), timeData);
+  await chrome.storage.local.remove(key);
+  await chrome.storage.local.set({ [vKey]: TIME_DATA_VERSION });
+  console.log(`[Time] Migrated ${Object.keys(timeData).length} days to format v${TIME_DATA_VERSION}`);
+}
+
+// Local day key for a UTC-keyed day with no finer detail: its midday
+function rekeyUtcDay(utcDay) {
+  return getDayKey(Date.parse(`${utcDay}T12:00:00Z`));
+}
+
+// Local day key for `localHour` (the clock hour recorded in `hours`) inside a UTC day
+function rekeyUtcHour(utcDay, localHour) {
+  const base = Date.parse(`${utcDay}T00:00:00Z`);
+  for (let k = 0; k < 24; k++) {
+    const t = base + k * 3600000 + 1800000;
+    if (new Date(t).getHours() === Number(localHour)) return getDayKey(t);
+  }
+  return rekeyUtcDay(utcDay);
+}
+
+// One-time move from UTC day keys to local ones. Hourly buckets and visit
+// timestamps let most time land exactly; the rest goes by the day's midday.
+async function rekeyUtcHistory(timeData) {
+  const out = {};
+  const add = (day, domain, e, ms, hour) => {
+    out[day] = out[day] || {};
+    const t = out[day][domain] = out[day][domain] || { time: 0, category: e.category, hours: {} };
+    t.time += ms;
+    if (hour !== undefined) t.hours[hour] = (t.hours[hour] || 0) + ms;
+  };
+  for (const day in timeData) {
+    for (const domain in timeData[day]) {
+      const e = timeData[day][domain];
+      let bucketed = 0;
+      for (const h in e.hours) {
+        add(rekeyUtcHour(day, h), domain, e, e.hours[h], h);
+        bucketed += e.hours[h];
+      }
+      if (e.time > bucketed) add(rekeyUtcDay(day), domain, e, e.time - bucketed);
+    }
+  }
+
+  const aKey = awayDataKey(), vsKey = visitsKey(), rKey = remoteTimeKey();
+  const d    = await new Promise((resolve) => chrome.storage.local.get([aKey, vsKey], resolve));
+
+  const away = {};
+  for (const day in d[aKey] || {}) {
+    const nd = rekeyUtcDay(day);
+    away[nd] = away[nd] || {};
+    for (const r in d[aKey][day]) away[nd][r] = (away[nd][r] || 0) + d[aKey][day][r];
+  }
+
+  const visits = {};
+  Object.values(d[vsKey] || {}).flat().sort((a, b) => a.start - b.start).forEach((v) => {
+    const nd = getDayKey(v.start);
+    (visits[nd] = visits[nd] || []).push(v);
+  });
+
+  // Other devices' totals are re-pulled; this device's uploads are replaced
+  // wholesale on the next upload since their day keys have moved.
+  await chrome.storage.local.set({ [aKey]: away, [vsKey]: visits, [timeResyncKey()]: true });
+  await chrome.storage.local.remove([rKey, timeSyncKey()]);
+  return out;
+}
+
+function ensureTimeDataMigrated() {
+  _timeMigration = migrateTimeData()
+    .catch((err) => console.error("migrateTimeData failed:", err))
+    .finally(() => { _timeMigration = null; });
+  return _timeMigration;
+}
+
+async function flushBufferToStorage() {
+  if (_timeMigration) await _timeMigration;
+  await saveFocusSessionProgress();
+  await flushAwayBuffer();
+  await flushVisits();
+  if (Object.keys(bufferDays).length === 0) return;
+  const captured = bufferDays;
+  liveInFlight   = captured;
+  bufferDays     = {};
+  const written  = {};   // day → updated records by domain
+  const days     = Object.keys(captured).sort();
+  for (let i = 0; i < days.length; i++) {
+    const b      = captured[days[i]];
+    const deltas = {};
+    for (const domain of new Set([...Object.keys(b.time), ...Object.keys(b.listening)])) {
+      deltas[domain] = {
+        time:      b.time[domain] || 0,
+        listening: b.listening[domain] || 0,
+        category:  getCategory(domain),
+        hours:     b.hours[domain],
+        paths:     b.paths[domain],
+        entities:  b.entities[domain]
+      };
+    }
+    try {
+      written[days[i]] = await addTimeDeltas(getUserId(), days[i], deltas);
+    } catch (err) {
+      // Nothing of this day or the ones after it was written — hand the seconds back to the next flush
+      console.error("flushBufferToStorage failed:", err);
+      days.slice(i).forEach((day) => {
+        const t = dayBuffer(day), r = captured[day];
+        sumInto(t.time, r.time);
+        sumInto(t.listening, r.listening);
+        ["hours", "paths", "entities"].forEach((f) => sumInto(t[f], r[f], true));
+        delete captured[day];
+      });
+      break;
+    }
+  }
+  if (Object.keys(written).length === 0) { liveInFlight = null; return; }
+  const syncKey = timeSyncKey();
+  const pending = await new Promise((resolve) =>
+    chrome.storage.local.get([syncKey], (res) => resolve(res[syncKey] || {}))
+  );
+  for (const day in written) {
+    for (const domain in written[day]) {
+      const r = written[day][domain];
+      pending[`${day}|${domain}`] = { time: r.time, listening: r.listening || 0, category: r.category };
+    }
+  }
+  try {
+    await chrome.storage.local.set({ [syncKey]: pending });
+  } catch (err) {
+    // Most likely the chrome.storage quota — the time itself is safe in IndexedDB
+    console.error("Saving upload queue failed:", err.message);
+    checkStorageQuota().catch(() => {});
+  }
+  liveInFlight = null;
+  broadcastLive(true);
+  checkBudgets().catch((err) => console.error("checkBudgets failed:", err));
+  checkGoals().catch((err) => console.error("checkGoals failed:", err));
+  uploadTimeEntries().catch(console.error);
+  uploadBlockAttempts().catch(console.error);
+}
+
+// While there is time to record, the flush's storage calls keep the worker
+// alive (Chrome 110+ extends its lifetime on extension API calls). Idle, it
+// may stop; tab, window and idle events start it again.
+setInterval(trackOneSecond, 1000);
+setInterval(flushBufferToStorage, 3000);
+
+/* =========================================================
+   TIME SYNC (cross-device)
+   flushBufferToStorage() records every day/domain it touched
+   in timeSyncPending_<userId> together with the new running
+   total. The uploader pushes those totals to /time-entries at
+   most once a minute; the server keeps the max per device, so
+   a retried or duplicated upload is harmless. Other devices'
+   totals are pulled into remoteTimeData_<userId> and merged
+   by the dashboard and popup at render time.
+========================================================= */
+const TIME_UPLOAD_INTERVAL_MS = 60_000;
+const TIME_PULL_INTERVAL_MS   = 10 * 60_000;
+const TIME_UPLOAD_CHUNK       = 50;   // server accepts at most 50 entries per request
+const TIME_PULL_DAYS          = 30;
+const TIME_PULL_DAYS_INITIAL  = 365;
+
+let _lastTimeUpload = 0;
+let _timeUploading  = false;
+
+async function getDeviceId() {
+  const d = await new Promise((resolve) => chrome.storage.local.get(["deviceId"], resolve));
+  if (d.deviceId) return d.deviceId;
+  const id = crypto.randomUUID();
+  await chrome.storage.local.set({ deviceId: id });
+  return id;
+}
+
+// 4xx other than auth and rate limits: the server will refuse it again on every retry
+function isRefusedUpload(res) {
+  return res.status >= 400 && res.status < 500 && ![401, 403, 408, 429].includes(res.status);
+}
+
+// Posts `items` TIME_UPLOAD_CHUNK at a time with post(chunk) → Response and
+// resolves with the items that are settled: uploaded, or refused for good.
+// One invalid item fails its whole chunk, so a refused chunk is sent again
+// one item at a time and only the items still refused are dropped; left
+// queued they would hold up everything behind them. A network error, 5xx or
+// auth failure stops the run and the rest waits for the next one.
+async function uploadInChunks(items, post, what) {
+  const settled = [];
+  const send = async (chunk) => {
+    const res = await post(chunk).catch((err) => { console.warn(`Uploading ${what} failed:`, err.message); return null; });
+    if (!res) return false;
+    if (isRefusedUpload(res) && chunk.length > 1) {
+      for (const x of chunk) if (!await send([x])) return false;
+      return true;
+    }
+    if (!res.ok && !isRefusedUpload(res)) return false;
+    if (!res.ok) console.warn(`[Sync] Server refused a ${what} entry (${res.status}), dropping it:`, chunk[0]);
+    settled.push(...chunk);
+    return true;
+  };
+  for (let i = 0; i < items.length; i += TIME_UPLOAD_CHUNK) {
+    if (!await send(items.slice(i, i + TIME_UPLOAD_CHUNK))) break;
+  }
+  return settled;
+}
+
+async function uploadTimeEntries(force) {
+  if (_timeUploading || !authToken) return;
+  if (!force && Date.now() - _lastTimeUpload < TIME_UPLOAD_INTERVAL_MS) return;
+  _timeUploading  = true;
+  _lastTimeUpload = Date.now();
+  try {
+    const syncKey  = timeSyncKey();
+    const deviceId = await getDeviceId();
+    if (!(await resyncAllTimeEntries(deviceId))) return;
+    const pending  = await new Promise((resolve) =>
+      chrome.storage.local.get([syncKey], (res) => resolve(res[syncKey] || {}))
+    );
+    const keys = Object.keys(pending);
+    if (keys.length === 0) return;
+
+    const settled = await uploadInChunks(keys, (chunk) => {
+      const entries = chunk.map((k) => {
+        const [date, domain] = k.split("|");
+        const { category, time, listening = 0 } = pending[k];
+        return { date, domain, category, time, listening };
+      });
+      return fetch(`${BG_API_BASE}/time-entries`, {
+        method:  "POST",
+        headers: getAuthHeaders(),
+        body:    JSON.stringify({ deviceId, entries }),
+        signal:  AbortSignal.timeout(10000)
+      });
+    }, "time");
+    const uploaded = {};
+    settled.forEach((k) => { uploaded[k] = pending[k]; });
+
+    // Drop what the server has now; keep anything that grew while we were uploading
+    const latest = await new Promise((resolve) =>
+      chrome.storage.local.get([syncKey], (res) => resolve(res[syncKey] || {}))
+    );
+    for (const k in uploaded) {
+      if (latest[k] && latest[k].time <= uploaded[k].time &&
+          (latest[k].listening || 0) <= (uploaded[k].listening || 0)) delete latest[k];
+    }
+    await chrome.storage.local.set({ [syncKey]: latest });
+  } catch (err) {
+    console.warn("uploadTimeEntries failed:", err.message);
+  } finally {
+    _timeUploading = false;
+  }
+}
+
+// After the day-key migration this device's earlier uploads sit under the
+// wrong dates: drop them server-side and queue the whole local history again.
+// Returns false if that still needs to happen (e.g. offline).
+async function resyncAllTimeEntries(deviceId) {
+  const flagKey = timeResyncKey();
+  const d = await new Promise((resolve) => chrome.storage.local.get([flagKey], resolve));
+  if (!d[flagKey]) return true;
+
+  const res = await fetch(`${BG_API_BASE}/time-entries?deviceId=${encodeURIComponent(deviceId)}`, {
+    method:  "DELETE",
+    headers: getAuthHeaders(),
+    signal:  AbortSignal.timeout(10000)
+  });
+  if (!res.ok) return false;
+
+  const timeData = await getTimeRange(getUserId());
+  const pending  = {};
+  for (const day in timeData) {
+    for (const domain in timeData[day]) {
+      const e = timeData[day][domain];
+      pending[`${day}|${domain}`] = { time: e.time || 0, listening: e.listening || 0, category: e.category || "Other" };
+    }
+  }
+  await chrome.storage.local.set({ [timeSyncKey()]: pending, [flagKey]: false });
+  return true;
+}
+
+async function pullRemoteTimeEntries() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const key      = remoteTimeKey();
+    const deviceId = await getDeviceId();
+    const existing = await new Promise((resolve) =>
+      chrome.storage.local.get([key], (res) => resolve(res[key] || null))
+    );
+    const days  = existing ? TIME_PULL_DAYS : TIME_PULL_DAYS_INITIAL;
+    const start = getDayKey(Date.now() - (days - 1) * 86400000);
+    const end   = getTodayKey();
+    const res   = await fetch(
+      `${BG_API_BASE}/time-entries?startDate=${start}&endDate=${end}&excludeDevice=${encodeURIComponent(deviceId)}`,
+      { headers: getAuthHeaders(), signal: AbortSignal.timeout(15000) }
+    );
+    if (!res.ok) return;
+    const rows = await res.json();
+    if (!Array.isArray(rows)) return;
+
+    // Replace the pulled window wholesale; keep older days from previous pulls
+    const remote = existing || {};
+    for (const day in remote) {
+      if (day >= start && day <= end) delete remote[day];
+    }
+    rows.forEach((r) => {
+      if (!r.date || !r.domain) return;
+      remote[r.date] = remote[r.date] || {};
+      remote[r.date][r.domain] = { time: r.time || 0, category: r.category || "Other" };
+      if (r.listening) remote[r.date][r.domain].listening = r.listening;
+    });
+    await chrome.storage.local.set({ [key]: remote });
+    console.log(`[Sync] Pulled ${rows.length} time entries from other devices`);
+  } catch (err) {
+    console.warn("pullRemoteTimeEntries failed:", err.message);
+  }
+}
+
+Promise.all([loadAuthToken(), loadDayStartHour()]).then(() => {
+  ensureTimeDataMigrated();
+  pullRemoteTimeEntries();
+  setInterval(pullRemoteTimeEntries, TIME_PULL_INTERVAL_MS);
+});
+
+/* =========================================================
+   RETENTION & COMPACTION
+   Full per-domain detail is kept for `retentionDays` (local
+   setting, 0 = forever); older days are rolled into weekly
+   aggregates, and weeks more than AGGREGATE_WEEKS past that
+   into monthly ones (see compactTimeData in timeStore.js).
+   Aggregates carry category totals split the same way the
+   dashboard splits them, so those are never lost. Visits, away
+   time and pulled remote totals past the window are simply
+   dropped.
+   Runs daily on an alarm, then checks storage usage and
+   warns when either store nears its quota.
+========================================================= */
+const COMPACTION_ALARM       = "retention-compaction";
+const DEFAULT_RETENTION_DAYS = 180;
+const AGGREGATE_WEEKS        = 52;
+const STORAGE_WARN_RATIO     = 0.8;
+const LOCAL_QUOTA_BYTES      = chrome.storage.local.QUOTA_BYTES || 10485760;
+
+// { category: ms } for one stored record: mapped entities first, then path rules, then the rest
+function categoryTotals(domain, r) {
+  const base = r.category || getCategory(domain);
+  const out  = { [base]: 0 };
+  let rest   = r.time || 0;
+  const give = (cat, ms) => {
+    if (!cat || cat === base) return;
+    ms = Math.min(ms, rest);
+    out[cat] = (out[cat] || 0) + ms;
+    rest -= ms;
+  };
+  for (const x in r.entities || {}) give(entityCategory(domain, x), r.entities[x]);
+  for (const p in r.paths || {})    give(findPathRule(domain, p)?.category, r.paths[p]);
+  out[base] += rest;
+  return out;
+}
+
+async function getStorageUsage() {
+  const local = await chrome.storage.local.getBytesInUse(null);
+  const est   = await navigator.storage.estimate().catch(() => ({}));
+  return {
+    local,
+    localQuota: LOCAL_QUOTA_BYTES,
+    idb:        est.usage || 0,
+    idbQuota:   est.quota || 0
+  };
+}
+
+async function checkStorageQuota() {
+  const u     = await getStorageUsage();
+  const ratio = Math.max(u.local / u.localQuota, u.idbQuota ? u.idb / u.idbQuota : 0);
+  const { storageWarning } = await chrome.storage.local.get(["storageWarning"]);
+  if (ratio < STORAGE_WARN_RATIO) {
+    if (storageWarning) await chrome.storage.local.remove("storageWarning");
+    return;
+  }
+  await chrome.storage.local.set({ storageWarning: { ratio, at: Date.now() } });
+  if (!storageWarning) {
+    chrome.notifications.create({
+      type: "basic", iconUrl: "icon.png", title: "Focus Tracker storage",
+      message: `Storage is ${Math.round(ratio * 100)}% full. Shorten the history window in Settings to free space.`
+    });
+  }
+}
+
+let _compacting = false;
+
+async function runCompaction() {
+  if (_compacting) return;
+  _compacting = true;
+  try {
+    if (_timeMigration) await _timeMigration;
+    await flushBufferToStorage();
+    const { retentionDays = DEFAULT_RETENTION_DAYS } = await chrome.storage.local.get(["retentionDays"]);
+    if (retentionDays > 0) {
+      const cutoff     = getDayKey(Date.now() - (retentionDays - 1) * 86400000);
+      const weekCutoff = getDayKey(Date.now() - (retentionDays - 1 + AGGREGATE_WEEKS * 7) * 86400000);
+      const removed    = await compactTimeData(getUserId(), cutoff, weekCutoff, categoryTotals);
+
+      const keys    = [visitsKey(), remoteTimeKey(), awayDataKey()];
+      const d       = await chrome.storage.local.get(keys);
+      const updates = {};
+      keys.forEach((k) => {
+        if (!d[k]) return;
+        const old = Object.keys(d[k]).filter((day) => day < cutoff);
+        if (old.length === 0) return;
+        old.forEach((day) => delete d[k][day]);
+        updates[k] = d[k];
+      });
+      if (Object.keys(updates).length) await chrome.storage.local.set(updates);
+      if (removed) console.log(`[Retention] Compacted ${removed} records before ${cutoff}`);
+    }
+    await checkStorageQuota();
+  } catch (err) {
+    console.error("runCompaction failed:", err);
+  } finally {
+    _compacting = false;
+  }
+}
+
+chrome.alarms.get(COMPACTION_ALARM).then((existing) => {
+  if (!existing) chrome.alarms.create(COMPACTION_ALARM, { delayInMinutes: 5, periodInMinutes: 24 * 60 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === COMPACTION_ALARM) runCompaction();
+});
+
+/* =========================================================
+   CATEGORY SYNC
+========================================================= */
+async function syncCategoriesFromServer() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const r = await fetch(`${BG_API_BASE}/categories`, { headers: getAuthHeaders() });
+    if (!r.ok) return;
+    const mappings = await r.json();
+    categoryMappings = {};
+    pathRules        = [];
+    entityRules      = {};
+    if (Array.isArray(mappings)) {
+      mappings.forEach((m) => {
+        if (!m.domain || !m.category) return;
+        if (m.domain.includes("#")) { entityRules[m.domain] = m.category; return; }
+        const rule = parsePathRule(m.domain);
+        if (rule) pathRules.push({ key: m.domain, ...rule, category: m.category });
+        else      categoryMappings[normalizeDomain(m.domain)] = m.category;
+      });
+    }
+    pathRules.sort((a, b) => b.prefix.length - a.prefix.length);
+    // The popup splits stored records by the same rules (see categoryTotals)
+    await chrome.storage.local.set({ [categoryRulesKey()]: { paths: pathRules, entities: entityRules } });
+    console.log(`[BG] Synced ${Object.keys(categoryMappings).length} category mappings, ${pathRules.length} path rules, ${Object.keys(entityRules).length} entity rules`);
+
+    const hadBlocked = focusBlockCategories.length > 0;
+    const rc = await fetch(`${BG_API_BASE}/custom-categories`, { headers: getAuthHeaders() });
+    if (rc.ok) {
+      const cats = await rc.json();
+      if (Array.isArray(cats)) {
+        focusBlockCategories = cats.filter((c) => c.blockInFocus).map((c) => c.catId);
+        // Names for goal notifications and the popup's goal rings
+        const labels = Object.fromEntries(cats.map((c) => [c.catId, `${c.emoji || ""} ${c.name || c.catId}`.trim()]));
+        await chrome.storage.local.set({ [categoryLabelsKey()]: labels });
+      }
+    }
+    // Newly categorized domains of a blocked category are blocked right away
+    // (stored flag: on a worker start this can run before restoreState)
+    const { focusMode } = await chrome.storage.local.get("focusMode");
+    if (focusMode && (hadBlocked || focusBlockCategories.length)) reloadBlockedTabs(await applyBlockRules());
+  } catch (err) { console.error("syncCategories failed:", err); }
+}
+
+loadAuthToken().then(() => {
+  syncCategoriesFromServer();
+  setInterval(syncCategoriesFromServer, 1800000);
+});
+
+/* =========================================================
+   ENTITY EXTRACTION
+   On a handful of huge sites the domain says nothing, so time
+   is also attributed to an entity derived from the tab's URL
+   (and title where the URL lacks it). Category mappings keyed
+   "<key>#<entity>" (e.g. "github.com#facebook/react") override
+   the domain's category for that entity.
+========================================================= */
+const GITHUB_RESERVED = new Set([
+  "settings", "notifications", "marketplace", "explore", "topics", "pulls",
+  "issues", "login", "logout", "signup", "search", "new", "orgs", "features",
+  "pricing", "sponsors", "codespaces", "dashboard", "trending", "collections"
+]);
+
+const ENTITY_EXTRACTORS = [
+  {
+    key:   "youtube.com",
+    hosts: /(^|\.)youtube\.com$/,
+    // Channel pages carry the handle; watch pages only when YouTube adds ab_channel
+    extract(u) {
+      const m = u.pathname.match(/^\/(@[\w.-]+|channel\/[\w-]+|c\/[^/]+|user\/[^/]+)/);
+      if (m) return m[1].startsWith("@") ? m[1].toLowerCase() : m[1];
+      const ab = u.searchParams.get("ab_channel");
+      return ab ? ab : null;
+    }
+  },
+  {
+    key:   "reddit.com",
+    hosts: /(^|\.)reddit\.com$/,
+    extract(u) {
+      const m = u.pathname.match(/^\/(r|u|user)\/([\w-]+)/i);
+      if (!m) return null;
+      return `${m[1].toLowerCase() === "r" ? "r" : "u"}/${m[2].toLowerCase()}`;
+    }
+  },
+  {
+    key:   "github.com",
+    hosts: /^github\.com$/,
+    extract(u) {
+      const [org, repo] = u.pathname.split("/").filter(Boolean);
+      if (!org || GITHUB_RESERVED.has(org.toLowerCase())) return null;
+      return (repo ? `${org}/${repo}` : org).toLowerCase();
+    }
+  },
+  {
+    key:   "stackoverflow.com",
+    hosts: /(^|\.)stackoverflow\.com$/,
+    // Question titles read "<first tag> - <question> - Stack Overflow"
+    extract(u, title) {
+      const tagged = u.pathname.match(/^\/questions\/tagged\/([^/?]+)/);
+      if (tagged) return `[${decodeURIComponent(tagged[1]).split(/[ +]/)[0].toLowerCase()}]`;
+      if (/^\/questions\/\d+/.test(u.pathname) && title) {
+        const parts = title.split(" - ");
+        if (parts.length >= 3 && /^[\w.#+-]+$/.test(parts[0])) return `[${parts[0].toLowerCase()}]`;
+      }
+      return null;
+    }
+  }
+];
+
+// Query values and decoded path segments are arbitrary text; entities are shown
+// on the dashboard and used in rule keys, so anything else is dropped
+const ENTITY_RE = /^[\w.@#%+/[\]-]{1,100}$/;
+
+function extractEntity(url, title) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^www\./, "");
+    const x = ENTITY_EXTRACTORS.find((e) => e.hosts.test(host));
+    const entity = x ? x.extract(u, title || "") : null;
+    return entity && ENTITY_RE.test(entity) ? entity : null;
+  } catch { return null; }
+}
+
+/* =========================================================
+   PRIVACY
+   neverTrack holds user patterns ("bank.com", "*.health.org",
+   "mychart.*"); a pattern without "*" also covers subdomains.
+   Matching hosts are not recorded at all, or — with
+   privateBucket on — only as anonymous time under
+   PRIVATE_BUCKET, without paths, entities or the host name.
+   incognitoPolicy applies to incognito tabs when the
+   extension is allowed there: "ignore" (default),
+   "anonymous" (private bucket) or "normal".
+   All three are local-only settings; the list never leaves
+   this device.
+========================================================= */
+const PRIVATE_BUCKET = "private";   // no dot, so it can't clash with a real host
+
+let neverTrack      = [];   // compiled patterns
+let privateBucket   = false;
+let incognitoPolicy = "ignore";
+
+function compileTrackPattern(raw) {
+  const host = String(raw).trim().toLowerCase()
+    .replace(/^https?:\/\//, "").replace(/^www\./, "").split("/")[0];
+  if (!host) return null;
+  const re = host.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(host.includes("*") ? `^${re}$` : `^(.+\\.)?${re}$`);
+}
+
+// "track" | "private" | "skip" for a host
+function privacyMode(domain, incognito) {
+  if (incognito && incognitoPolicy !== "normal") return incognitoPolicy === "anonymous" ? "private" : "skip";
+  if (neverTrack.some((re) => re.test(domain))) return privateBucket ? "private" : "skip";
+  return "track";
+}
+
+function loadPrivacySettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["neverTrack", "privateBucket", "incognitoPolicy"], (d) => {
+      neverTrack      = (d.neverTrack || []).map(compileTrackPattern).filter(Boolean);
+      privateBucket   = !!d.privateBucket;
+      incognitoPolicy = ["ignore", "anonymous", "normal"].includes(d.incognitoPolicy) ? d.incognitoPolicy : "ignore";
+      resolve();
+    });
+  });
+}
+
+// Re-applies the policy to the active tab and to audible tabs
+function refreshTrackedTabs() {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs?.[0]?.url) return;
+    setActiveTab(tabs[0]);
+  });
+  chrome.tabs.query({ audible: true }, (tabs) => {
+    if (chrome.runtime.lastError) return;
+    audibleTabs.clear();
+    tabs.forEach(updateAudibleTab);
+  });
+}
+
+loadPrivacySettings().then(refreshTrackedTabs);
+
+/* =========================================================
+   TAB & WINDOW TRACKING
+========================================================= */
+function setActiveTab(tab) {
+  const d = getDomain(tab.url);
+  if (!d) return;
+  currentTabId    = tab.id;
+  currentWindowId = tab.windowId;
+  const mode = privacyMode(d, tab.incognito);
+  if (mode !== "track") {
+    // Skipped tabs leave no domain to count; private ones only the bucket
+    currentDomain = mode === "private" ? PRIVATE_BUCKET : null;
+    currentPath   = "";
+    currentEntity = null;
+    return;
+  }
+  try { const u = new URL(tab.url); currentPath = u.pathname + u.search; }
+  catch { currentPath = ""; }
+  currentEntity   = extractEntity(tab.url, tab.title);
+  currentDomain   = d;
+}
+
+chrome.tabs.onActivated.addListener((info) => {
+  chrome.tabs.get(info.tabId, (tab) => {
+    if (chrome.runtime.lastError || !tab?.url) return;
+    setActiveTab(tab);
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Titles settle after "complete" on single-page apps — re-extract the entity then too
+  if (changeInfo.status === "complete" || changeInfo.url || changeInfo.title) {
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+      if (chrome.runtime.lastError) return;
+      if (tabs?.[0]?.id === tabId) setActiveTab(tab.url ? tab : tabs[0]);
+    });
+  }
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  browserFocused = windowId !== chrome.windows.WINDOW_ID_NONE;
+  updateActivityState();
+  if (!browserFocused) return;
+  chrome.tabs.query({ active: true, windowId }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs?.[0]?.url) return;
+    setActiveTab(tabs[0]);
+  });
+});
+
+chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+  if (chrome.runtime.lastError || !tabs?.[0]?.url) return;
+  setActiveTab(tabs[0]);
+});
+
+/* =========================================================
+   BADGE & NOTIFY
+========================================================= */
+function updateBadge() {
+  // A Pomodoro cycle shows its round: red while working, green on a break, amber while waiting
+  if (pomodoro) {
+    const onBreak = pomodoro.phase !== "work" && !pomodoro.waiting;
+    chrome.action.setBadgeText({ text: onBreak ? `☕${(pomodoro.round - 1) % pomodoro.rounds + 1}` : pomodoroRoundLabel(pomodoro) });
+    chrome.action.setBadgeBackgroundColor({ color: pomodoro.waiting ? "#f59e0b" : onBreak ? "#22c55e" : "#ef4444" });
+  } else {
+    chrome.action.setBadgeText({ text: focusModeOn ? "ON" : activeSchedules.length ? "⏰" : "" });
+    chrome.action.setBadgeBackgroundColor({ color: focusModeOn ? "#ef4444" : "#6366f1" });
+  }
+  const task = (focusModeOn || pomodoro) && focusTask;
+  const name = chrome.runtime.getManifest().name;
+  chrome.action.setTitle({ title: task ? `${name}\nWorking on: ${task}` : name });
+}
+
+function notify(message, title = "Focus Mode") {
+  chrome.notifications.create({
+    type: "basic", iconUrl: "icon.png", title, message
+  });
+}
+
+/* =========================================================
+   BLOCKED SITES
+========================================================= */
+async function getBlockedSites() {
+  const key = blockedSitesKey();
+  return new Promise((resolve) => {
+    chrome.storage.local.get([key], (d) => {
+      void chrome.runtime.lastError;
+      resolve(Array.isArray(d[key]) ? d[key] : []);
+    });
+  });
+}
+
+/* Blocked-site entries carry their rule type in their shape (validated by
+   POST /blocked-sites, see normalizeBlockRule in server.js):
+     "reddit.com"          domain   — host and subdomains → urlFilter ||host^
+     "youtube.com/shorts"  path     — path prefix         → urlFilter ||host/path
+     "*.example.*"         wildcard — * = any characters  → regexFilter
+     "keyword:/r/all"      keyword  — URL contains text   → urlFilter text  */
+const KEYWORD_PREFIX = "keyword:";
+
+function blockRuleType(entry) {
+  if (entry.startsWith(KEYWORD_PREFIX)) return "keyword";
+  if (entry.includes("*")) return "wildcard";
+  return /[/?]/.test(entry) ? "path" : "domain";
+}
+
+// RE2-compatible regex for a wildcard entry. A leading "*." also matches the
+// bare host; in the host * stops at the first "/", in the path it doesn't.
+function wildcardRegex(pattern) {
+  const slash = pattern.search(/[/?]/);
+  const host  = slash < 0 ? pattern : pattern.slice(0, slash);
+  const path  = slash < 0 ? "" : pattern.slice(slash);
+  const esc   = (x) => x.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  const hostRe = host.startsWith("*.")
+    ? "(?:[^/?#]*\\.)?" + esc(host.slice(2)).replace(/\*/g, "[^/?#]*")
+    : "(?:www\\.)?" + esc(host).replace(/\*/g, "[^/?#]*");
+  const pathRe = path ? esc(path).replace(/\*/g, ".*") : "(?:[/?#]|$)";
+  return `^https?://${hostRe}(?::\\d+)?${pathRe}`;
+}
+
+// declarativeNetRequest condition for an entry, or null if it can't be compiled
+function blockRuleCondition(entry) {
+  if (/[^\x21-\x7e]/.test(entry)) return null;   // urlFilter / regexFilter are ASCII-only
+  switch (blockRuleType(entry)) {
+    case "keyword":  return { urlFilter: entry.slice(KEYWORD_PREFIX.length) };
+    case "wildcard": return { regexFilter: wildcardRegex(entry) };
+    case "path":     return { urlFilter: `||${entry}` };
+    default:         return { urlFilter: `||${entry}^` };
+  }
+}
+
+function blockRuleMatches(entry, url) {
+  try {
+    const u    = new URL(url);
+    const host = u.hostname.replace(/^www\./, "");
+    switch (blockRuleType(entry)) {
+      case "keyword":  return url.toLowerCase().includes(entry.slice(KEYWORD_PREFIX.length));
+      case "wildcard": return new RegExp(wildcardRegex(entry), "i").test(url);
+      case "path": {
+        const slash = entry.search(/[/?]/), site = entry.slice(0, slash);
+        return (host === site || host.endsWith("." + site)) && (u.pathname + u.search).startsWith(entry.slice(slash));
+      }
+      default: return host === entry || host.endsWith("." + entry);
+    }
+  } catch { return false; }
+}
+
+function isBlockedUrl(url, blockedSites) {
+  return blockedSites.some((s) => blockRuleMatches(s, url));
+}
+
+// Reload open tabs on newly blocked sites so the redirect rule takes effect
+function reloadBlockedTabs(blockedSites) {
+  if (blockedSites.length === 0) return;
+  chrome.tabs.query({ windowType: "normal" }, (tabs) => {
+    if (chrome.runtime.lastError) return;
+    (tabs || []).forEach((tab) => {
+      if (!tab.url || tab.url.startsWith("chrome://")) return;
+      if (isBlockedUrl(tab.url, blockedSites)) chrome.tabs.reload(tab.id);
+    });
+  });
+}
+
+/* CATEGORY BLOCKING
+   Categories (built-in or custom) flagged blockInFocus on
+   /custom-categories are blocked during focus without their
+   domains being on the blocked-sites list: every host and path
+   rule mapped to them in /categories, plus hosts tracked in the
+   last CATEGORY_BLOCK_LOOKBACK_DAYS that getCategory() puts
+   there (the built-in guesses have no mapping). Mappings are
+   re-read by syncCategoriesFromServer(), which re-applies the
+   rules, so newly categorized domains are picked up. */
+const CATEGORY_BLOCK_LOOKBACK_DAYS = 7;
+
+async function getCategoryBlockList() {
+  if (focusBlockCategories.length === 0) return [];
+  const cats  = new Set(focusBlockCategories);
+  const sites = Object.keys(categoryMappings).filter((h) => cats.has(categoryMappings[h]));
+  pathRules.forEach((r) => { if (cats.has(r.category)) sites.push(r.key); });
+  try {
+    const start = getDayKey(Date.now() - (CATEGORY_BLOCK_LOOKBACK_DAYS - 1) * 86400000);
+    const range = await getTimeRange(getUserId(), start, getTodayKey());
+    for (const day in range) {
+      for (const domain in range[day]) {
+        if (domain.includes(".") && cats.has(getCategory(domain))) sites.push(domain);
+      }
+    }
+  } catch (err) {
+    console.warn("getCategoryBlockList: reading tracked hosts failed:", err.message);
+  }
+  return sites;
+}
+
+// Sites that must be blocked right now: the blocked-sites list and blocked
+// categories while focus mode is on, plus whatever any open schedule window blocks.
+async function getActiveBlockList() {
+  const list = await getBlockedSites();
+  // Read the stored flags: after a worker restart focusModeOn may not be restored yet.
+  // An allowlist session blocks everything off the list instead (see ALLOWLIST FOCUS).
+  const { focusMode, focusAllowlist: allowOnly } = await chrome.storage.local.get(["focusMode", "focusAllowlist"]);
+  const sites = focusMode && !allowOnly ? [...list, ...await getCategoryBlockList()] : [];
+  activeSchedules.forEach((s) => sites.push(...(s.useBlockList ? list : s.sites || [])));
+  return [...new Set(sites)].sort();
+}
+
+/* =========================================================
+   BUILD BLOCK RULES
+   Entries are compiled into as few dynamic rules as possible:
+   bare domains are packed DOMAINS_PER_RULE at a time into a
+   requestDomains list, and the redirect's regexSubstitution
+   reads the host back out of the URL, so blocked.html still
+   gets ?site=<host>. Path, wildcard and keyword entries get a
+   rule each. Over-budget sites are packed per budget so the
+   redirect can say which budget ran out.
+   Which ids are in use is read from getDynamicRules() rather
+   than assumed, so updates run one at a time (see
+   queueBlockRuleUpdate). If Chrome's dynamic or regex rule
+   limits are still exceeded, the rules that don't fit are left
+   out and blockRulesStatus tells the dashboard.
+========================================================= */
+const DOMAINS_PER_RULE = 1000;
+const HOST_CAPTURE     = "^https?://(?:www\\.)?([^/:?#]+).*$";
+const DNR              = chrome.declarativeNetRequest;
+const DYNAMIC_RULE_LIMIT = DNR.MAX_NUMBER_OF_DYNAMIC_RULES || DNR.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000;
+const REGEX_RULE_LIMIT   = DNR.MAX_NUMBER_OF_REGEX_RULES || 1000;
+
+// Rules owned by blocking (allowlist focus included)
+function isBlockRuleId(id) { return id >= ALLOWLIST_RULE_IDS[0]; }
+
+// `query` is appended to blocked.html's ?site= (e.g. the budget reason)
+function compileBlockRules(entries, query = "") {
+  const rules   = [];
+  const domains = entries.filter((e) => blockRuleType(e) === "domain" && blockRuleCondition(e));
+  for (let i = 0; i < domains.length; i += DOMAINS_PER_RULE) {
+    rules.push({
+      action: {
+        type: "redirect",
+        redirect: { regexSubstitution: chrome.runtime.getURL("blocked.html") + "?site=\\1" + query }
+      },
+      condition: {
+        requestDomains: domains.slice(i, i + DOMAINS_PER_RULE),
+        regexFilter:    HOST_CAPTURE,
+        resourceTypes:  ["main_frame"]
+      }
+    });
+  }
+  entries.forEach((entry) => {
+    const condition = blockRuleType(entry) !== "domain" && blockRuleCondition(entry);
+    if (!condition) return;
+    rules.push({
+      action: {
+        type: "redirect",
+        redirect: { extensionPath: `/blocked.html?site=${encodeURIComponent(entry)}${query}` }
+      },
+      condition: { ...condition, resourceTypes: ["main_frame"] }
+    });
+  });
+  return rules;
+}
+
+function ruleEntryCount(rule) { return rule.condition.requestDomains?.length || 1; }
+
+// Keeps rules, in order, while they fit Chrome's limits; `reserved` ids are
+// left for rules that aren't blocking's (temporary unblocks and the like)
+function fitRuleLimits(rules, reserved) {
+  const kept = [];
+  let regex = 0, dropped = 0;
+  rules.forEach((rule) => {
+    const isRegex = !!rule.condition.regexFilter;
+    if (kept.length + reserved >= DYNAMIC_RULE_LIMIT || (isRegex && regex >= REGEX_RULE_LIMIT)) {
+      dropped += ruleEntryCount(rule);
+      return;
+    }
+    if (isRegex) regex++;
+    kept.push(rule);
+  });
+  return { kept, dropped };
+}
+
+// Two overlapping updates would read the same ids, and the later one would
+// re-add ids the earlier one just created; Chrome rejects that as duplicates.
+let _blockRuleUpdates = Promise.resolve();
+
+function queueBlockRuleUpdate(fn) {
+  const run = _blockRuleUpdates.then(fn);
+  _blockRuleUpdates = run.catch(() => {});
+  return run;
+}
+
+function applyBlockRules() {
+  return queueBlockRuleUpdate(writeBlockRules);
+}
+
+function disableBlocking() {
+  return queueBlockRuleUpdate(removeBlockRules);
+}
+
+async function writeBlockRules() {
+  if (_budgetStateLoad) await _budgetStateLoad;
+  const blocked = await getActiveBlockList();
+  // Sites over their daily budget, unless already blocked for another reason
+  const overBudget = Object.keys(budgetState.blocked).filter((s) => !blocked.includes(s)).sort();
+  const sites = [...blocked, ...overBudget];
+
+  const { focusMode, focusAllowlist: allowOnly, focusAllowSnapshot } =
+    await chrome.storage.local.get(["focusMode", "focusAllowlist", "focusAllowSnapshot"]);
+  const rules = [];
+  if (focusMode && allowOnly) {
+    let allowed = await getAllowedSites();
+    // Hard sessions only ever get stricter: nothing added after the start counts
+    if (Array.isArray(focusAllowSnapshot)) allowed = allowed.filter((s) => focusAllowSnapshot.includes(s));
+    rules.push(...allowlistRules(allowed));
+  }
+
+  // Priority 2: a blocked site stays blocked even if it is on the allowlist
+  const byBudget = {};
+  overBudget.forEach((site) => (byBudget[budgetState.blocked[site]] = byBudget[budgetState.blocked[site]] || []).push(site));
+  const siteRules = [
+    ...compileBlockRules(blocked),
+    ...Object.entries(byBudget).flatMap(([key, list]) => compileBlockRules(list, budgetRedirectQuery(key)))
+  ];
+  siteRules.forEach((rule, i) => { rule.id = BASE_RULE_ID + i; rule.priority = 2; });
+  rules.push(...siteRules);
+
+  const existing  = await DNR.getDynamicRules();
+  const removeIds = existing.map((r) => r.id).filter(isBlockRuleId);
+  const reserved  = existing.length - removeIds.length;
+  const { kept, dropped } = fitRuleLimits(rules, reserved);
+  const status = { rules: kept.length, entries: sites.length, dropped, error: null, at: Date.now() };
+
+  try {
+    await DNR.updateDynamicRules({ removeRuleIds: removeIds, addRules: kept });
+  } catch (err) {
+    // The previous rules stay in place
+    console.error("[Focus] Applying block rules failed:", err.message);
+    status.error = err.message;
+  }
+  await chrome.storage.local.set({ blockRulesStatus: status });
+  if (dropped) console.warn(`[Focus] Rule limit reached — ${dropped} entries not blocked`);
+
+  console.log(`[Focus] Blocking rules applied — ${sites.length} sites in ${kept.length} rules${focusMode && allowOnly ? " + allowlist" : ""}`);
+  return sites;
+}
+
+async function removeBlockRules() {
+  const existing = await DNR.getDynamicRules();
+
+  await DNR.updateDynamicRules({
+    removeRuleIds: existing.map((r) => r.id).filter(isBlockRuleId),
+    addRules: []
+  });
+  await chrome.storage.local.remove("blockRulesStatus");
+
+  console.log("[Focus] Blocking DISABLED — all rules removed");
+}
+
+/* =========================================================
+   FOCUS MODE
+   A session is nothing but its stored state — focusMode,
+   hardFocusActive, focusAllowlist, focusEndsAt and, for hard
+   sessions, focusLockUntil — plus FOCUS_END_ALARM at
+   focusEndsAt. Soft and hard sessions both end on that alarm.
+   loadFocusState() runs on every worker start: it reads the
+   state back into the globals and ends a session whose time
+   ran out while the worker (or the browser) was gone, so
+   nothing depends on the worker staying alive.
+========================================================= */
+const FOCUS_END_ALARM = "focus-end";
+
+let _focusStateLoad = null;   // pending loadFocusState(); handlers wait for it
+
+async function loadFocusState() {
+  const d = await chrome.storage.local.get(["focusMode", "hardFocusActive", "focusAllowlist", "focusLockUntil", "focusEndsAt", "pomodoroState", "focusSession", "focusTask"]);
+  const now = Date.now();
+  pomodoro        = d.pomodoroState || null;
+  focusSession    = d.focusSession || null;
+  focusTask       = d.focusTask || "";
+  focusModeOn     = !!d.focusMode;
+  focusAllowlist  = focusModeOn && !!d.focusAllowlist;
+  focusLockUntil  = d.focusLockUntil || 0;
+  hardFocusActive = focusModeOn && !!d.hardFocusActive && now < focusLockUntil;
+  // Sessions started before focusEndsAt existed: hard ones end at their lock, soft ones now
+  focusEndsAt     = d.focusEndsAt || focusLockUntil;
+
+  if (!focusModeOn && focusSession) await closeFocusSession();
+  if (focusModeOn && now >= focusEndsAt) {
+    console.log("[Focus] Session ran out while the worker was stopped");
+    await focusTimeUp();
+    return;
+  }
+  if (focusModeOn && !(await chrome.alarms.get(FOCUS_END_ALARM))) {
+    chrome.alarms.create(FOCUS_END_ALARM, { when: focusEndsAt });
+  }
+  if (pomodoro && !pomodoro.waiting && pomodoro.phase !== "work") {
+    if (now >= pomodoro.endsAt) await finishPomodoroPhase();
+    else if (!(await chrome.alarms.get(POMODORO_ALARM))) chrome.alarms.create(POMODORO_ALARM, { when: pomodoro.endsAt });
+  }
+  updateBadge();
+}
+
+// The session's time is up: a Pomodoro work round moves on, anything else ends
+async function focusTimeUp() {
+  if (pomodoro?.phase === "work" && !pomodoro.waiting) await finishPomodoroPhase();
+  else await stopFocus(true, "Focus session complete — sites unblocked");
+}
+
+// `notice` replaces the "Focus Mode ON" notification; null sends none
+async function startFocus(durationMinutes, hard, allowlist = false, notice) {
+  durationMinutes  = Math.max(5, durationMinutes || 25);
+  const durationMs = durationMinutes * 60 * 1000;
+
+  focusModeOn     = true;
+  hardFocusActive = hard;
+  focusAllowlist  = allowlist;
+  focusEndsAt     = Date.now() + durationMs;
+  focusLockUntil  = hard ? focusEndsAt : 0;
+  await openFocusSession(hard, allowlist);
+
+  await chrome.storage.local.set({
+    focusMode:       true,
+    hardFocusActive: hard,
+    focusAllowlist:  allowlist,
+    focusLockUntil:  focusLockUntil,
+    focusEndsAt:     focusEndsAt
+  });
+  chrome.alarms.create(FOCUS_END_ALARM, { when: focusEndsAt });
+
+  if (hard) await revokeTempUnblocks();
+  if (allowlist) await syncAllowedSitesFromServer();
+  if (allowlist && hard) await chrome.storage.local.set({ focusAllowSnapshot: await getAllowedSites() });
+  else                   await chrome.storage.local.remove("focusAllowSnapshot");
+  const blocked = await applyBlockRules();
+  if (allowlist) reloadDisallowedTabs(await getAllowedSites());
+  else           reloadBlockedTabs(blocked);
+
+  updateBadge();
+  const mode = allowlist ? "allowlist only, " : "";
+  if (notice === undefined) {
+    notice = hard
+      ? `Hard Focus ON — ${mode}locked for ${durationMinutes} min`
+      : `Focus Mode ON — ${mode}${durationMinutes} min`;
+  }
+  if (notice) notify(notice);
+
+  syncBlockedSitesInBackground();
+}
+
+// `notice` is the notification to send; null sends none
+async function stopFocus(force, notice = "Focus Mode OFF — sites unblocked") {
+  if (!force && hardFocusActive && Date.now() < focusLockUntil) {
+    notify("Hard focus is active — cannot stop until time is up");
+    return;
+  }
+
+  chrome.alarms.clear(FOCUS_END_ALARM);
+  await closeFocusSession();
+
+  focusModeOn     = false;
+  hardFocusActive = false;
+  focusAllowlist  = false;
+  focusLockUntil  = 0;
+  focusEndsAt     = 0;
+
+  await chrome.storage.local.set({
+    focusMode:       false,
+    hardFocusActive: false,
+    focusAllowlist:  false,
+    focusLockUntil:  0,
+    focusEndsAt:     0
+  });
+  await chrome.storage.local.remove("focusAllowSnapshot");
+
+  // Scheduled blocks stay in force
+  releaseBlockedTabs(await applyBlockRules());
+
+  updateBadge();
+  if (notice) notify(notice);
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== FOCUS_END_ALARM) return;
+  await _focusStateLoad;
+  if (!focusModeOn) return;
+  // Early by more than alarm jitter: a newer session owns the alarm, re-arm it
+  if (focusEndsAt - Date.now() > 1000) chrome.alarms.create(FOCUS_END_ALARM, { when: focusEndsAt });
+  else await focusTimeUp();
+});
+
+_focusStateLoad = loadFocusState().catch(console.error);
+
+/* =========================================================
+   POMODORO
+   "Start Focus" runs a cycle rather than a single session:
+   work rounds of workMin — ordinary soft focus sessions, so
+   blocking is on — alternate with breaks of shortBreakMin,
+   or longBreakMin after every roundsBeforeLong rounds, when
+   nothing is blocked. Settings come from /preferences and
+   are cached in pomodoroSettings. The cycle itself is kept in
+   pomodoroState:
+     { phase: "work" | "short" | "long", round, rounds,
+       endsAt, waiting, allowlist }
+   Work rounds end on FOCUS_END_ALARM, breaks on
+   POMODORO_ALARM. With autoAdvance off, `phase` is the next
+   phase and waits (waiting: true) until the user starts it
+   from the popup or the notification.
+========================================================= */
+const POMODORO_ALARM        = "pomodoro-break";
+const POMODORO_NOTIFICATION = "pomodoro-next";
+const DEFAULT_POMODORO      = { workMin: 25, shortBreakMin: 5, longBreakMin: 15, roundsBeforeLong: 4, autoAdvance: true };
+
+async function getPomodoroSettings() {
+  const { pomodoroSettings } = await chrome.storage.local.get("pomodoroSettings");
+  return { ...DEFAULT_POMODORO, ...pomodoroSettings };
+}
+
+async function savePomodoro() {
+  if (pomodoro) await chrome.storage.local.set({ pomodoroState: pomodoro });
+  else          await chrome.storage.local.remove("pomodoroState");
+  updateBadge();
+}
+
+// Round within the current set: round 6 of 4-round sets is "2/4"
+function pomodoroRoundLabel(p) { return `${(p.round - 1) % p.rounds + 1}/${p.rounds}`; }
+
+function breakMinutes(settings, phase) {
+  return phase === "long" ? settings.longBreakMin : settings.shortBreakMin;
+}
+
+async function startPomodoro(allowlist) {
+  const s = await getPomodoroSettings();
+  pomodoro = { phase: "work", round: 1, rounds: s.roundsBeforeLong, endsAt: 0, waiting: false, allowlist };
+  await startPomodoroPhase(`Pomodoro started — round ${pomodoroRoundLabel(pomodoro)}, ${s.workMin} min focus`);
+}
+
+// Starts pomodoro.phase now; `notice` is the notification for it
+async function startPomodoroPhase(notice) {
+  const s = await getPomodoroSettings();
+  const p = pomodoro;
+  p.waiting = false;
+  p.rounds  = s.roundsBeforeLong;
+  chrome.notifications.clear(POMODORO_NOTIFICATION);
+  if (p.phase === "work") {
+    await startFocus(s.workMin, false, p.allowlist, notice || `Round ${pomodoroRoundLabel(p)} — ${s.workMin} min focus`);
+    p.endsAt = focusEndsAt;
+  } else {
+    p.endsAt = Date.now() + breakMinutes(s, p.phase) * 60000;
+    chrome.alarms.create(POMODORO_ALARM, { when: p.endsAt });
+    notify(notice || `${breakMinutes(s, p.phase)} min break — sites unblocked`, "Pomodoro");
+  }
+  await savePomodoro();
+}
+
+// The current phase is over: move to the next one, or wait for the user
+async function finishPomodoroPhase() {
+  const s = await getPomodoroSettings();
+  const p = pomodoro;
+  let done;
+  if (p.phase === "work") {
+    done    = `Round ${pomodoroRoundLabel(p)} done`;
+    p.phase = p.round % s.roundsBeforeLong === 0 ? "long" : "short";
+    await stopFocus(true, null);
+  } else {
+    done    = "Break over";
+    p.round += 1;
+    p.phase = "work";
+  }
+  p.rounds = s.roundsBeforeLong;
+  const next = p.phase === "work"
+    ? `round ${pomodoroRoundLabel(p)}, ${s.workMin} min focus`
+    : `${breakMinutes(s, p.phase)} min ${p.phase === "long" ? "long " : ""}break, sites unblocked`;
+
+  if (s.autoAdvance) return startPomodoroPhase(`${done} — ${next}`);
+
+  p.waiting = true;
+  p.endsAt  = 0;
+  await savePomodoro();
+  chrome.notifications.create(POMODORO_NOTIFICATION, {
+    type: "basic", iconUrl: "icon.png", title: "Pomodoro",
+    message: `${done} — next: ${next}`,
+    buttons: [{ title: p.phase === "work" ? "Start round" : "Start break" }],
+    requireInteraction: true
+  });
+}
+
+// Ends the cycle, whatever phase it is in
+async function stopPomodoro(quiet) {
+  const p    = pomodoro;
+  const done = p.phase === "work" ? p.round - 1 : p.round;
+  pomodoro = null;
+  chrome.alarms.clear(POMODORO_ALARM);
+  chrome.notifications.clear(POMODORO_NOTIFICATION);
+  await savePomodoro();
+  if (focusModeOn) await stopFocus(true, null);
+  if (!quiet) notify(`Pomodoro stopped after ${done} round${done === 1 ? "" : "s"} — sites unblocked`);
+}
+
+async function syncPreferencesFromServer() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const res = await fetch(`${BG_API_BASE}/preferences`, {
+      headers: getAuthHeaders(),
+      signal:  AbortSignal.timeout(10000)
+    });
+    if (!res.ok) return;
+    const prefs = await res.json();
+    if (prefs?.pomodoro) await chrome.storage.local.set({ pomodoroSettings: prefs.pomodoro });
+  } catch (err) {
+    console.warn("syncPreferencesFromServer failed:", err.message);
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== POMODORO_ALARM) return;
+  await _focusStateLoad;
+  if (!pomodoro || pomodoro.waiting || pomodoro.phase === "work") return;
+  if (pomodoro.endsAt - Date.now() > 1000) chrome.alarms.create(POMODORO_ALARM, { when: pomodoro.endsAt });
+  else await finishPomodoroPhase();
+});
+
+chrome.notifications.onButtonClicked.addListener(async (id) => {
+  if (id !== POMODORO_NOTIFICATION) return;
+  await _focusStateLoad;
+  if (pomodoro?.waiting) await startPomodoroPhase();
+});
+
+// Send blocked.html tabs back to their site unless it is still blocked
+function releaseBlockedTabs(stillBlocked) {
+  const extId = chrome.runtime.id;
+  chrome.tabs.query({ windowType: "normal" }, (tabs) => {
+    if (chrome.runtime.lastError) return;
+    (tabs || []).forEach((tab) => {
+      if (!tab.url || !tab.url.includes(extId) || !tab.url.includes("blocked.html")) return;
+      const params = new URL(tab.url).searchParams;
+      const site   = params.get("site");
+      // Packed domain rules report the visited host, not the list entry
+      if (site && (stillBlocked.includes(site) || isBlockedUrl(`https://${site}/`, stillBlocked))) return;
+      if (params.get("reason") === "allowlist" && focusModeOn && focusAllowlist) return;
+      chrome.tabs.goBack(tab.id, () => { void chrome.runtime.lastError; });
+    });
+  });
+}
+
+/* =========================================================
+   BACKGROUND SERVER SYNC FOR BLOCKED SITES
+========================================================= */
+async function syncBlockedSitesInBackground() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const res = await fetch(`${BG_API_BASE}/blocked-sites`, {
+      headers: getAuthHeaders(),
+      signal:  AbortSignal.timeout(10000)
+    });
+    if (!res.ok) return;
+    const serverSites = await res.json();
+    if (!Array.isArray(serverSites) || serverSites.length === 0) return;
+
+    const local  = await getBlockedSites();
+    const merged = [...new Set([...serverSites, ...local])].sort();
+    await new Promise((r) => chrome.storage.local.set({ [blockedSitesKey()]: merged }, r));
+
+    await applyBlockRules();
+  } catch (err) {
+    console.warn("syncBlockedSitesInBackground failed:", err.message);
+  }
+}
+
+/* =========================================================
+   ALLOWLIST FOCUS
+   The inverse of the blocklist: while an allowlist session
+   runs, one regex rule redirects every http(s) main_frame
+   request to blocked.html, and a single allow rule of the
+   same priority (allow wins ties) lets the allowlist through.
+   Extension pages (dashboard, auth, blocked.html) are never
+   http(s), and the backend and Google sign-in are always
+   allowed. Blocklist, schedule and budget rules use a higher
+   priority, so they still win over the allowlist.
+   The list comes from /allowed-sites, cached in
+   allowedSites_<userId>.
+========================================================= */
+const ALLOWLIST_RULE_IDS = [BASE_RULE_ID - 2, BASE_RULE_ID - 1];   // block-all, allow
+
+function alwaysAllowedHosts() {
+  const hosts = ["accounts.google.com"];
+  try { hosts.push(new URL(BG_API_BASE).hostname); } catch {}
+  return hosts;
+}
+
+async function getAllowedSites() {
+  const key = allowedSitesKey();
+  const d = await new Promise((resolve) => chrome.storage.local.get([key], resolve));
+  return Array.isArray(d[key]) ? d[key] : [];
+}
+
+function allowlistRules(allowed) {
+  return [{
+    id:       ALLOWLIST_RULE_IDS[0],
+    priority: 1,
+    action: {
+      type: "redirect",
+      // \1 is the host, so blocked.html can still show ?site=
+      redirect: { regexSubstitution: chrome.runtime.getURL("blocked.html") + "?reason=allowlist&site=\\1" }
+    },
+    condition: {
+      regexFilter:   HOST_CAPTURE,
+      resourceTypes: ["main_frame"]
+    }
+  }, {
+    id:       ALLOWLIST_RULE_IDS[1],
+    priority: 1,
+    action:   { type: "allow" },
+    condition: {
+      requestDomains: [...new Set([...allowed, ...alwaysAllowedHosts()])],
+      resourceTypes:  ["main_frame"]
+    }
+  }];
+}
+
+// Reload open web pages that the allowlist now covers
+function reloadDisallowedTabs(allowed) {
+  const hosts = [...allowed, ...alwaysAllowedHosts()];
+  chrome.tabs.query({ windowType: "normal" }, (tabs) => {
+    if (chrome.runtime.lastError) return;
+    (tabs || []).forEach((tab) => {
+      if (!/^https?:/.test(tab.url || "")) return;
+      if (!isBlockedUrl(tab.url, hosts)) chrome.tabs.reload(tab.id);
+    });
+  });
+}
+
+// The server's list replaces the local one: the dashboard always writes there first
+async function syncAllowedSitesFromServer() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const res = await fetch(`${BG_API_BASE}/allowed-sites`, {
+      headers: getAuthHeaders(),
+      signal:  AbortSignal.timeout(10000)
+    });
+    if (!res.ok) return;
+    const sites = await res.json();
+    if (!Array.isArray(sites)) return;
+    await chrome.storage.local.set({ [allowedSitesKey()]: sites.sort() });
+  } catch (err) {
+    console.warn("syncAllowedSitesFromServer failed:", err.message);
+  }
+}
+
+/* =========================================================
+   BLOCK SCHEDULES
+   Recurring windows ("Mon–Fri 09:00–12:00") that block either
+   the blocked-sites list or their own sites, independent of
+   focus mode. Schedules come from /block-schedules and are
+   cached in blockSchedules_<userId>. evaluateSchedules()
+   recomputes which are open, re-applies the rules and sets a
+   one-shot alarm for the next window edge; it runs on every
+   worker start, so nothing depends on the worker staying up.
+   The ids of open schedules are kept in activeScheduleIds
+   for the popup/dashboard and to notice edges across restarts.
+========================================================= */
+const SCHEDULE_ALARM = "block-schedule";
+
+async function getSchedules() {
+  const key = schedulesKey();
+  const d = await new Promise((resolve) => chrome.storage.local.get([key], resolve));
+  return Array.isArray(d[key]) ? d[key] : [];
+}
+
+function minutesOf(date) { return date.getHours() * 60 + date.getMinutes(); }
+
+function scheduleOpenAt(s, date) {
+  const dow = date.getDay(), min = minutesOf(date), days = s.days || [];
+  return (s.windows || []).some((w) => w.end > w.start
+    ? days.includes(dow) && min >= w.start && min < w.end
+    // Past midnight: the window belongs to the day it starts on
+    : (days.includes(dow) && min >= w.start) || (days.includes((dow + 6) % 7) && min < w.end));
+}
+
+// Next time any schedule opens or closes, or null
+function nextScheduleEdge(schedules, now) {
+  const base = new Date(now);
+  let next = null;
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(base.getFullYear(), base.getMonth(), base.getDate() + offset);
+    schedules.forEach((s) => {
+      if (!(s.days || []).includes(day.getDay())) return;
+      (s.windows || []).forEach((w) => {
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, w.start).getTime();
+        const end   = new Date(day.getFullYear(), day.getMonth(), day.getDate() + (w.end > w.start ? 0 : 1), 0, w.end).getTime();
+        [start, end].forEach((t) => { if (t > now && (next === null || t < next)) next = t; });
+      });
+    });
+  }
+  return next;
+}
+
+async function evaluateSchedules() {
+  const schedules = (await getSchedules()).filter((s) => s.enabled !== false);
+  const now  = Date.now();
+  const open = schedules.filter((s) => scheduleOpenAt(s, new Date(now)));
+  const { activeScheduleIds: prevIds = [] } = await chrome.storage.local.get(["activeScheduleIds"]);
+  activeSchedules = open;
+
+  const ids     = open.map((s) => s.id);
+  const started = open.filter((s) => !prevIds.includes(s.id));
+  const ended   = prevIds.length > 0 && prevIds.some((id) => !ids.includes(id));
+  await chrome.storage.local.set({ activeScheduleIds: ids });
+
+  const blocked = await applyBlockRules();
+  if (started.length) {
+    reloadBlockedTabs(blocked);
+    notify(`Scheduled block started — ${started.map((s) => s.name || "Untitled").join(", ")}`);
+  } else if (ended) {
+    releaseBlockedTabs(blocked);
+    if (open.length === 0) notify("Scheduled block ended — sites unblocked");
+  }
+  updateBadge();
+
+  const edge = nextScheduleEdge(schedules, now);
+  if (edge) chrome.alarms.create(SCHEDULE_ALARM, { when: edge + 1000 });
+  else      chrome.alarms.clear(SCHEDULE_ALARM);
+}
+
+async function syncSchedulesFromServer() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const res = await fetch(`${BG_API_BASE}/block-schedules`, {
+      headers: getAuthHeaders(),
+      signal:  AbortSignal.timeout(10000)
+    });
+    if (!res.ok) return;
+    const schedules = await res.json();
+    if (!Array.isArray(schedules)) return;
+    await chrome.storage.local.set({ [schedulesKey()]: schedules });
+    await evaluateSchedules();
+  } catch (err) {
+    console.warn("syncSchedulesFromServer failed:", err.message);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) evaluateSchedules().catch(console.error);
+});
+
+loadAuthToken().then(() => {
+  evaluateSchedules().catch(console.error);
+  syncSchedulesFromServer();
+});
+
+/* =========================================================
+   DAILY BUDGETS
+   Per-domain and per-category daily limits from /budgets,
+   cached in budgets_<userId>:
+     { kind: "domain" | "category", target, minutes, warnAt }
+   checkBudgets() runs after every flush and compares them
+   with today's stored totals. Past warnAt% of a budget the
+   user gets a notification; at 100% the domain — or every
+   host of the category — is redirected to blocked.html with
+   reason=budget until the next day boundary, when the reset
+   alarm clears everything. What was notified and blocked
+   today lives in budgetState_<userId>, so a worker restart
+   neither re-notifies nor unblocks.
+========================================================= */
+const BUDGET_RESET_ALARM = "budget-reset";
+
+let budgets         = [];
+let budgetState     = { day: null, notified: [], blocked: {} };   // blocked: site → budget key
+let _budgetStateLoad = null;   // pending loadBudgetState(); applyBlockRules waits for it
+
+function budgetKey(b) { return `${b.kind}:${b.target}`; }
+
+function budgetRedirectQuery(key) {
+  const b = budgets.find((x) => budgetKey(x) === key);
+  if (!b) return "&reason=budget";
+  return `&reason=budget&kind=${b.kind}&target=${encodeURIComponent(b.target)}&minutes=${b.minutes}`;
+}
+
+async function loadBudgets() {
+  const key = budgetsKey();
+  const d = await new Promise((resolve) => chrome.storage.local.get([key], resolve));
+  budgets = Array.isArray(d[key]) ? d[key] : [];
+  return budgets;
+}
+
+function loadBudgetState() {
+  _budgetStateLoad = (async () => {
+    await loadAuthToken();
+    await loadDayStartHour();
+    await loadBudgets();
+    const key = budgetStateKey();
+    const s   = (await chrome.storage.local.get([key]))[key];
+    // A stale day is kept as is; checkBudgets() resets it and lifts its blocks
+    budgetState = s?.day
+      ? { day: s.day, notified: s.notified || [], blocked: s.blocked || {} }
+      : { day: getTodayKey(), notified: [], blocked: {} };
+  })().finally(() => { _budgetStateLoad = null; });
+  return _budgetStateLoad;
+}
+
+function saveBudgetState() {
+  return chrome.storage.local.set({ [budgetStateKey()]: budgetState });
+}
+
+async function checkBudgets() {
+  if (_budgetStateLoad) await _budgetStateLoad;
+  const today = getTodayKey();
+  if (budgetState.day !== today) return resetBudgets();
+  if (budgets.length === 0 && Object.keys(budgetState.blocked).length === 0) return;
+
+  const day = (await getTimeRange(getUserId(), today, today))[today] || {};
+  const catMs = {}, catHosts = {};
+  for (const domain in day) {
+    if (domain === PRIVATE_BUCKET) continue;
+    addCounts(catMs, categoryTotals(domain, day[domain]));
+    const hostCat = getCategory(domain);
+    (catHosts[hostCat] = catHosts[hostCat] || []).push(domain);
+  }
+
+  const blocked = {};
+  const notified = new Set(budgetState.notified);
+  for (const b of budgets) {
+    const key   = budgetKey(b);
+    const limit = b.minutes * 60000;
+    const label = b.kind === "domain" ? b.target : `${b.target} sites`;
+    const used  = b.kind === "domain"
+      ? Object.keys(day).filter((d) => d === b.target || d.endsWith("." + b.target)).reduce((sum, d) => sum + (day[d].time || 0), 0)
+      : catMs[b.target] || 0;
+    if (used >= limit) {
+      // As getCategoryBlockList(): mapped hosts, path rules and tracked hosts whose
+      // own category it is. A host that only counts through a path rule keeps its
+      // other paths; time on mapped entities can't be blocked by URL.
+      const sites = b.kind === "domain" ? [b.target] : [
+        ...Object.keys(categoryMappings).filter((h) => categoryMappings[h] === b.target),
+        ...pathRules.filter((r) => r.category === b.target).map((r) => r.key),
+        ...(catHosts[b.target] || [])
+      ];
+      sites.forEach((site) => { if (site.includes(".") && !blocked[site]) blocked[site] = key; });
+      // The minutes are part of the id, so raising a budget can notify again
+      if (!notified.has(`${key}:${b.minutes}:done`)) {
+        notified.add(`${key}:${b.minutes}:done`);
+        notify(`You've used your ${b.minutes} min for ${label} today — blocked until tomorrow.`, "Daily budget used up");
+      }
+    } else if (b.warnAt > 0 && used >= limit * b.warnAt / 100 && !notified.has(`${key}:${b.minutes}:warn`)) {
+      notified.add(`${key}:${b.minutes}:warn`);
+      notify(`${Math.round(used / 60000)} of ${b.minutes} min used on ${label} today.`, "Daily budget");
+    }
+  }
+
+  const prev    = budgetState.blocked;
+  const changed = Object.keys(blocked).sort().join() !== Object.keys(prev).sort().join();
+  if (!changed && notified.size === budgetState.notified.length) return;
+  budgetState = { day: today, notified: [...notified], blocked };
+  await saveBudgetState();
+  scheduleBudgetReset();
+  if (!changed) return;
+
+  const active = await applyBlockRules();
+  const added  = Object.keys(blocked).filter((s) => !prev[s]);
+  if (added.length) {
+    // revokeTempUnblocks() reloads the tabs of the grants it ends
+    const grants = Object.keys(await getTempUnblocks()).filter((h) => added.some((s) => unblockOverlaps(h, s)));
+    const ended  = await revokeTempUnblocks(grants);
+    notifyUnblockEnded(ended);
+    reloadBlockedTabs(added.filter((s) => !ended.some((h) => unblockOverlaps(h, s))));
+  }
+  if (Object.keys(prev).some((s) => !blocked[s])) releaseBlockedTabs(active);
+}
+
+// New day: every budget starts from zero again
+async function resetBudgets() {
+  const hadBlocks = Object.keys(budgetState.blocked).length > 0;
+  budgetState = { day: getTodayKey(), notified: [], blocked: {} };
+  await saveBudgetState();
+  if (hadBlocks) releaseBlockedTabs(await applyBlockRules());
+  scheduleBudgetReset();
+}
+
+function scheduleBudgetReset() {
+  if (Object.keys(budgetState.blocked).length === 0 && budgetState.notified.length === 0) {
+    chrome.alarms.clear(BUDGET_RESET_ALARM);
+    return;
+  }
+  chrome.alarms.create(BUDGET_RESET_ALARM, { when: nextDayBoundary(Date.now()) + 1000 });
+}
+
+async function syncBudgetsFromServer() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const res = await fetch(`${BG_API_BASE}/budgets`, {
+      headers: getAuthHeaders(),
+      signal:  AbortSignal.timeout(10000)
+    });
+    if (!res.ok) return;
+    const list = await res.json();
+    if (!Array.isArray(list)) return;
+    await chrome.storage.local.set({ [budgetsKey()]: list });
+    budgets = list;
+    await checkBudgets();
+  } catch (err) {
+    console.warn("syncBudgetsFromServer failed:", err.message);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== BUDGET_RESET_ALARM) return;
+  if (budgetState.day !== getTodayKey()) resetBudgets().catch(console.error);
+  else scheduleBudgetReset();
+});
+
+loadBudgetState()
+  .then(checkBudgets)
+  .then(() => { scheduleBudgetReset(); return syncBudgetsFromServer(); })
+  .catch(console.error);
 
 /* =========================================================
-   TIME TRACKING
+   DAILY GOALS
+   Per-category goals from /goals, cached in goals_<userId>:
+     { id, category, type: "min" | "max", minutes, days }
+   A "min" goal is met once `minutes` are reached, a "max"
+   goal (a cap) is exceeded past them. `days` are weekdays
+   (0 = Sunday) of the tracking day, so goals follow
+   dayStartHour like everything else. checkGoals() runs after
+   every flush on today's category totals from every device
+   and notifies once per goal and day; what was notified is
+   kept in goalState_<userId> ({ day, notified }). Popup and
+   dashboard draw the progress rings from goals_<userId>.
 ========================================================= */
-function trackOneSecond() {
-  if (!currentDomain || currentDomain.length < 2) return;
-  bufferTime[currentDomain] = (bufferTime[currentDomain] || 0) + 1000;
+let goals = [];
+
+// Weekday (0 = Sunday) of a "YYYY-MM-DD" day key
+function dayKeyWeekday(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d).getDay();
 }
 
-async function flushBufferToStorage() {
-  if (Object.keys(bufferTime).length === 0) return;
-  const today    = getTodayKey();
-  const captured = { ...bufferTime };
-  bufferTime     = {};
-  const key      = timeDataKey();
-  const timeData = await new Promise((resolve) =>
-    chrome.storage.local.get([key], (res) => resolve(res[key] || {}))
-  );
-  timeData[today] = timeData[today] || {};
-  for (const domain in captured) {
-    const category = getCategory(domain);
-    if (!timeData[today][domain]) timeData[today][domain] = { time: 0, category };
-    timeData[today][domain].time     += captured[domain];
-    timeData[today][domain].category  = category;
+async function loadGoals() {
+  const key = goalsKey();
+  const d   = await chrome.storage.local.get(key);
+  goals = Array.isArray(d[key]) ? d[key] : [];
+  return goals;
+}
+
+// { category: ms } for today: this device's history plus other devices' totals
+async function todayCategoryTotals() {
+  const today  = getTodayKey();
+  const day    = (await getTimeRange(getUserId(), today, today))[today] || {};
+  const remote = (await chrome.storage.local.get(remoteTimeKey()))[remoteTimeKey()]?.[today] || {};
+  const out = {};
+  for (const domain in day) {
+    if (domain !== PRIVATE_BUCKET) addCounts(out, categoryTotals(domain, day[domain]));
+  }
+  for (const domain in remote) {
+    const e = remote[domain];
+    if (domain === PRIVATE_BUCKET) continue;
+    addCounts(out, { [e?.category || getCategory(domain)]: typeof e === "number" ? e : e?.time || 0 });
   }
-  chrome.storage.local.set({ [key]: timeData });
+  return out;
 }
 
-setInterval(trackOneSecond, 1000);
-setInterval(flushBufferToStorage, 3000);
+async function checkGoals() {
+  const today = getTodayKey();
+  const todays = goals.filter((g) => g.days?.includes(dayKeyWeekday(today)));
+  if (todays.length === 0) return;
+
+  const key = goalStateKey(), labelsKey = categoryLabelsKey();
+  const d   = await chrome.storage.local.get([key, labelsKey]);
+  const notified = new Set(d[key]?.day === today ? d[key].notified : []);
+  const before   = notified.size;
+  const catMs    = await todayCategoryTotals();
+
+  for (const g of todays) {
+    const used = catMs[g.category] || 0;
+    const done = g.type === "min" ? used >= g.minutes * 60000 : used > g.minutes * 60000;
+    // The minutes are part of the id, so changing a goal can notify again
+    const id = `${g.id}:${g.minutes}`;
+    if (!done || notified.has(id)) continue;
+    notified.add(id);
+    const name = d[labelsKey]?.[g.category] || g.category;
+    if (g.type === "min") notify(`${g.minutes} min of ${name} today — goal met.`, "Daily goal met");
+    else                  notify(`You've gone past your ${g.minutes} min cap for ${name} today.`, "Daily cap exceeded");
+  }
+  if (notified.size !== before) await chrome.storage.local.set({ [key]: { day: today, notified: [...notified] } });
+}
 
-/* =========================================================
-   CATEGORY SYNC
-========================================================= */
-async function syncCategoriesFromServer() {
+async function syncGoalsFromServer() {
   const token = await loadAuthToken();
   if (!token) return;
   try {
-    const r = await fetch(`${BG_API_BASE}/categories`, { headers: getAuthHeaders() });
-    if (!r.ok) return;
-    const mappings = await r.json();
-    categoryMappings = {};
-    if (Array.isArray(mappings)) {
-      mappings.forEach((m) => {
-        if (m.domain && m.category) categoryMappings[normalizeDomain(m.domain)] = m.category;
-      });
-    }
-    console.log(`[BG] Synced ${Object.keys(categoryMappings).length} category mappings`);
-  } catch (err) { console.error("syncCategories failed:", err); }
+    const res = await fetch(`${BG_API_BASE}/goals`, {
+      headers: getAuthHeaders(),
+      signal:  AbortSignal.timeout(10000)
+    });
+    if (!res.ok) return;
+    const list = await res.json();
+    if (!Array.isArray(list)) return;
+    await chrome.storage.local.set({ [goalsKey()]: list });
+    goals = list;
+    await checkGoals();
+  } catch (err) {
+    console.warn("syncGoalsFromServer failed:", err.message);
+  }
 }
 
-loadAuthToken().then(() => {
-  syncCategoriesFromServer();
-  setInterval(syncCategoriesFromServer, 1800000);
-});
+loadAuthToken().then(loadGoals).then(syncGoalsFromServer).catch(console.error);
 
 /* =========================================================
-   TAB & WINDOW TRACKING
+   TEMPORARY UNBLOCKS
+   blocked.html's "let me in" flow: after the user has typed a
+   reason and sat through the unlock countdown, the page sends
+   TEMP_UNBLOCK and the host gets an allow rule for 5–15 min.
+   Priority 3 beats every block rule (see BUILD BLOCK RULES);
+   ids stay below ALLOWLIST_RULE_IDS, so applyBlockRules()
+   leaves them alone. Grants live in tempUnblocks
+   ({ host: { ruleId, until } }) and end on a per-host alarm,
+   or on the next worker start if that alarm was missed.
+   Reasons are kept in unblockLog_<userId>. Hard focus never
+   grants one and revokes any that are open. Neither does a
+   host over its daily budget, and a budget that runs out
+   during a grant ends it (the allow rule would outrank the
+   budget's block).
 ========================================================= */
-chrome.tabs.onActivated.addListener((info) => {
-  chrome.tabs.get(info.tabId, (tab) => {
-    if (chrome.runtime.lastError || !tab?.url) return;
-    const d = getDomain(tab.url);
-    if (d) currentDomain = d;
-  });
-});
+const TEMP_UNBLOCK_ALARM   = "temp-unblock:";   // + host
+const TEMP_UNBLOCK_MINUTES = [5, 10, 15];
+const TEMP_UNBLOCK_RULE_ID = 100;   // grants use ids 100 … ALLOWLIST_RULE_IDS[0] - 1
+const UNBLOCK_REASON_MIN   = 20;    // characters; blocked.html enforces the same
+const UNBLOCK_LOG_MAX      = 200;
+
+async function getTempUnblocks() {
+  const { tempUnblocks } = await chrome.storage.local.get("tempUnblocks");
+  return tempUnblocks || {};
+}
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === "complete" || changeInfo.url) {
-    chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
-      if (chrome.runtime.lastError) return;
-      if (tabs?.[0]?.id === tabId) {
-        const d = getDomain(tab.url || tabs[0].url);
-        if (d) currentDomain = d;
-      }
-    });
+// The host an unblock applies to: packed domain rules already report the
+// visited host, path rules open their whole host. Wildcard and keyword
+// entries have no single host, so they can't be unblocked.
+function unblockHost(site) {
+  if (!site || blockRuleType(site) === "keyword" || blockRuleType(site) === "wildcard") return null;
+  const host = site.split(/[/?]/)[0].toLowerCase().replace(/^www\./, "");
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(host) ? host : null;
+}
+
+// Whether a grant for `host` would open `site`; requestDomains covers
+// subdomains, so either side may be the parent
+function unblockOverlaps(host, site) {
+  const h = unblockHost(site);
+  return !!h && (host === h || host.endsWith("." + h) || h.endsWith("." + host));
+}
+
+async function grantTempUnblock(site, minutes, reason) {
+  if (hardFocusActive && Date.now() < focusLockUntil) throw new Error("Hard focus is active");
+  const host = unblockHost(site);
+  if (!host) throw new Error("This rule can't be unblocked temporarily");
+  if (!TEMP_UNBLOCK_MINUTES.includes(minutes)) throw new Error("Minutes must be 5, 10 or 15");
+  reason = String(reason || "").trim();
+  if (reason.length < UNBLOCK_REASON_MIN) throw new Error(`Reason must be at least ${UNBLOCK_REASON_MIN} characters`);
+  if (_budgetStateLoad) await _budgetStateLoad;
+  if (Object.keys(budgetState.blocked).some((s) => unblockOverlaps(host, s))) {
+    throw new Error("This site's daily budget is used up");
   }
-});
 
-chrome.windows.onFocusChanged.addListener((windowId) => {
-  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
-  chrome.tabs.query({ active: true, windowId }, (tabs) => {
-    if (chrome.runtime.lastError || !tabs?.[0]?.url) return;
-    const d = getDomain(tabs[0].url);
-    if (d) currentDomain = d;
+  // Picking a free id and adding the rule must not interleave with another
+  // grant (or a block rule update), or both could take the same id
+  const until = Date.now() + minutes * 60000;
+  await queueBlockRuleUpdate(async () => {
+    const grants = await getTempUnblocks();
+    const used   = (await DNR.getDynamicRules()).map((r) => r.id);
+    let ruleId   = grants[host]?.ruleId;
+    if (!ruleId) {
+      ruleId = TEMP_UNBLOCK_RULE_ID;
+      while (used.includes(ruleId)) ruleId++;
+      if (ruleId >= ALLOWLIST_RULE_IDS[0]) throw new Error("Too many sites unblocked at once");
+    }
+
+    await DNR.updateDynamicRules({
+      removeRuleIds: [ruleId],
+      addRules: [{
+        id:        ruleId,
+        priority:  3,
+        action:    { type: "allow" },
+        condition: { requestDomains: [host], resourceTypes: ["main_frame"] }
+      }]
+    });
+    grants[host] = { ruleId, until };
+    await chrome.storage.local.set({ tempUnblocks: grants });
+    chrome.alarms.create(TEMP_UNBLOCK_ALARM + host, { when: until });
   });
-});
 
-chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
-  if (chrome.runtime.lastError || !tabs?.[0]?.url) return;
-  const d = getDomain(tabs[0].url);
-  if (d) currentDomain = d;
-});
+  const key = unblockLogKey();
+  const d   = await chrome.storage.local.get(key);
+  const log = [...(d[key] || []), { at: Date.now(), site, host, minutes, reason }].slice(-UNBLOCK_LOG_MAX);
+  await chrome.storage.local.set({ [key]: log });
 
-/* =========================================================
-   BADGE & NOTIFY
-========================================================= */
-function updateBadge() {
-  chrome.action.setBadgeText({ text: focusModeOn ? "ON" : "" });
-  chrome.action.setBadgeBackgroundColor({ color: "#ef4444" });
+  console.log(`[Focus] ${host} unblocked for ${minutes} min`);
+  return { host, until };
 }
 
-function notify(message) {
-  chrome.notifications.create({
-    type: "basic", iconUrl: "icon.png", title: "Focus Mode", message
+// Ends the given grants (all of them by default), sends tabs that are
+// still on a blocked site back through the block and resolves with the
+// hosts it ended
+async function revokeTempUnblocks(hosts) {
+  hosts = await queueBlockRuleUpdate(async () => {
+    const grants = await getTempUnblocks();
+    const ended  = (hosts || Object.keys(grants)).filter((h) => grants[h]);
+    if (ended.length === 0) return ended;
+    await DNR.updateDynamicRules({ removeRuleIds: ended.map((h) => grants[h].ruleId) });
+    ended.forEach((h) => { delete grants[h]; chrome.alarms.clear(TEMP_UNBLOCK_ALARM + h); });
+    await chrome.storage.local.set({ tempUnblocks: grants });
+    return ended;
   });
-}
+  if (hosts.length === 0) return hosts;
 
-/* =========================================================
-   BLOCKED SITES
-========================================================= */
-async function getBlockedSites() {
-  const key = blockedSitesKey();
-  return new Promise((resolve) => {
-    chrome.storage.local.get([key], (d) => {
-      void chrome.runtime.lastError;
-      resolve(Array.isArray(d[key]) ? d[key] : []);
+  const blocked = [...await getActiveBlockList(), ...Object.keys(budgetState.blocked)];
+  const allowOnly = focusModeOn && focusAllowlist;
+  chrome.tabs.query({ windowType: "normal" }, (tabs) => {
+    if (chrome.runtime.lastError) return;
+    (tabs || []).forEach((tab) => {
+      if (!/^https?:/.test(tab.url || "") || !isBlockedUrl(tab.url, hosts)) return;
+      if (allowOnly || isBlockedUrl(tab.url, blocked)) chrome.tabs.reload(tab.id);
     });
   });
+  return hosts;
 }
 
-function isBlockedUrl(url, blockedSites) {
-  try {
-    const host = new URL(url).hostname.replace(/^www\./, "");
-    return blockedSites.some((s) => host === s || host.endsWith("." + s));
-  } catch { return false; }
+function notifyUnblockEnded(hosts) {
+  if (hosts.length) notify(hosts.length === 1 ? `${hosts[0]} is blocked again` : "Temporary unblocks ended");
+}
+
+// Grants whose alarm fired while the worker was gone
+async function expireTempUnblocks() {
+  const grants = await getTempUnblocks();
+  const now    = Date.now();
+  notifyUnblockEnded(await revokeTempUnblocks(Object.keys(grants).filter((h) => grants[h].until <= now)));
 }
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(TEMP_UNBLOCK_ALARM)) return;
+  revokeTempUnblocks([alarm.name.slice(TEMP_UNBLOCK_ALARM.length)]).then(notifyUnblockEnded).catch(console.error);
+});
+
+expireTempUnblocks().catch(console.error);
+
 /* =========================================================
-   BUILD BLOCK RULES
-   FIX: Each rule's redirect now includes ?site=<domain> so
-   blocked.html can display which site was blocked.
-   We use extensionPath + a transform approach: since
-   declarativeNetRequest redirect.extensionPath cannot be
-   dynamic per-domain, we instead redirect to a generic path
-   and rely on a webNavigation listener to rewrite the URL
-   with the actual origin, OR we use the simpler approach of
-   one rule per site with a unique extensionPath query string.
-
-   declarativeNetRequest supports redirect.extensionPath as a
-   static string only — it cannot interpolate the blocked URL.
-   SOLUTION: redirect to blocked.html?site=DOMAIN by encoding
-   each site's domain into its own rule's extensionPath string.
-   This is fully supported in MV3.
+   BLOCKED ATTEMPTS
+   blocked.html reports every fresh redirect with
+   BLOCKED_ATTEMPT; counts are kept per day and site (the
+   host the redirect reported, or the rule for path, wildcard
+   and keyword rules) in blockAttempts_<userId> for
+   ATTEMPT_KEEP_DAYS. Syncing works like TIME SYNC: this
+   device's running totals are queued in
+   blockAttemptsPending_<userId> and pushed to /block-attempts,
+   other devices' totals are pulled into
+   remoteBlockAttempts_<userId>, and readers add the two.
 ========================================================= */
-async function enableBlocking() {
-  const sites = await getBlockedSites();
+const ATTEMPT_KEEP_DAYS = 90;
+
+let _lastAttemptUpload = 0;
+let _attemptsUploading = false;
+let _attemptWrites     = Promise.resolve();
+
+// Several blocked tabs open at once (a restored session): each count is a
+// get/modify/set of the same keys, so they run one at a time
+function queueAttemptWrite(fn) {
+  const run = _attemptWrites.then(fn);
+  _attemptWrites = run.catch(() => {});
+  return run;
+}
 
-  // One rule per blocked site; each redirect carries ?site=<domain>
-  // so blocked.html always knows which site was blocked.
-  const addRules = sites.slice(0, MAX_RULES).map((site, i) => ({
-    id:       BASE_RULE_ID + i,
-    priority: 1,
-    action: {
-      type: "redirect",
-      redirect: {
-        // Pass the blocked domain as a query param — blocked.html reads ?site=
-        extensionPath: `/blocked.html?site=${encodeURIComponent(site)}`
+function addAttemptDays(...sources) {
+  const out = {};
+  sources.forEach((src) => {
+    for (const day in src || {}) {
+      for (const site in src[day]) {
+        out[day] = out[day] || {};
+        out[day][site] = (out[day][site] || 0) + src[day][site];
       }
-    },
-    condition: {
-      urlFilter:     `||${site}^`,
-      resourceTypes: ["main_frame"]
     }
-  }));
-
-  const removeIds = Array.from({ length: MAX_RULES }, (_, i) => BASE_RULE_ID + i);
-
-  await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds: removeIds,
-    addRules
   });
-
-  console.log(`[Focus] Blocking ENABLED — ${sites.length} sites:`, sites);
-  return sites;
+  return out;
 }
 
-async function disableBlocking() {
-  const removeIds = Array.from({ length: MAX_RULES }, (_, i) => BASE_RULE_ID + i);
-
-  await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds: removeIds,
-    addRules: []
-  });
-
-  console.log("[Focus] Blocking DISABLED — all rules removed");
+// Today's counts across devices: { site: <this site>, today: <all sites> }
+async function todayAttemptCounts(site) {
+  const d     = await chrome.storage.local.get([attemptsKey(), remoteAttemptsKey()]);
+  const today = addAttemptDays(d[attemptsKey()], d[remoteAttemptsKey()])[getTodayKey()] || {};
+  return { site: today[site] || 0, today: Object.values(today).reduce((a, b) => a + b, 0) };
 }
 
-/* =========================================================
-   FOCUS MODE
-========================================================= */
-async function startFocus(durationMinutes, hard) {
-  durationMinutes  = Math.max(5, durationMinutes || 25);
-  const durationMs = durationMinutes * 60 * 1000;
-
-  clearTimeout(pomodoroTimer);
-
-  focusModeOn     = true;
-  hardFocusActive = hard;
-  focusLockUntil  = hard ? Date.now() + durationMs : 0;
-
-  await chrome.storage.local.set({
-    focusMode:       true,
-    hardFocusActive: hard,
-    focusLockUntil:  focusLockUntil
-  });
+function recordBlockAttempt(site) {
+  return queueAttemptWrite(() => countBlockAttempt(site));
+}
 
-  const blockedSites = await enableBlocking();
+async function countBlockAttempt(site) {
+  const day = getTodayKey();
+  const key = attemptsKey(), syncKey = attemptSyncKey();
+  const d   = await chrome.storage.local.get([key, syncKey]);
+  const attempts = d[key] || {};
+  const pending  = d[syncKey] || {};
+
+  attempts[day] = attempts[day] || {};
+  attempts[day][site] = (attempts[day][site] || 0) + 1;
+  pending[`${day}|${site}`] = attempts[day][site];
+  const cutoff = getDayKey(Date.now() - (ATTEMPT_KEEP_DAYS - 1) * 86400000);
+  for (const k in attempts) if (k < cutoff) delete attempts[k];
+
+  await chrome.storage.local.set({ [key]: attempts, [syncKey]: pending });
+  if (focusModeOn && focusSession) {
+    focusSession.blockedAttempts += 1;
+    await chrome.storage.local.set({ focusSession });
+  }
+  uploadBlockAttempts().catch(console.error);
+}
 
-  if (blockedSites.length > 0) {
-    chrome.tabs.query({ windowType: "normal" }, (tabs) => {
-      if (chrome.runtime.lastError) return;
-      (tabs || []).forEach((tab) => {
-        if (!tab.url || tab.url.startsWith("chrome://")) return;
-        if (isBlockedUrl(tab.url, blockedSites)) {
-          chrome.tabs.reload(tab.id);
-        }
+async function uploadBlockAttempts(force) {
+  if (_attemptsUploading || !authToken) return;
+  if (!force && Date.now() - _lastAttemptUpload < TIME_UPLOAD_INTERVAL_MS) return;
+  _attemptsUploading = true;
+  _lastAttemptUpload = Date.now();
+  try {
+    const syncKey  = attemptSyncKey();
+    const deviceId = await getDeviceId();
+    const pending  = (await chrome.storage.local.get(syncKey))[syncKey] || {};
+    const keys     = Object.keys(pending);
+    if (keys.length === 0) return;
+
+    const settled = await uploadInChunks(keys, (chunk) => {
+      const attempts = chunk.map((k) => {
+        const bar = k.indexOf("|");
+        return { date: k.slice(0, bar), site: k.slice(bar + 1), count: pending[k] };
+      });
+      return fetch(`${BG_API_BASE}/block-attempts`, {
+        method:  "POST",
+        headers: getAuthHeaders(),
+        body:    JSON.stringify({ deviceId, attempts }),
+        signal:  AbortSignal.timeout(10000)
       });
+    }, "blocked attempt");
+
+    // Keep anything that was counted again while we were uploading
+    await queueAttemptWrite(async () => {
+      const latest = (await chrome.storage.local.get(syncKey))[syncKey] || {};
+      settled.forEach((k) => { if (latest[k] <= pending[k]) delete latest[k]; });
+      await chrome.storage.local.set({ [syncKey]: latest });
     });
+  } catch (err) {
+    console.warn("uploadBlockAttempts failed:", err.message);
+  } finally {
+    _attemptsUploading = false;
   }
+}
 
-  updateBadge();
-  notify(hard
-    ? `Hard Focus ON — locked for ${durationMinutes} min`
-    : `Focus Mode ON — ${durationMinutes} min`
-  );
+async function pullRemoteBlockAttempts() {
+  const token = await loadAuthToken();
+  if (!token) return;
+  try {
+    const key      = remoteAttemptsKey();
+    const deviceId = await getDeviceId();
+    const existing = (await chrome.storage.local.get(key))[key] || null;
+    const days  = existing ? TIME_PULL_DAYS : ATTEMPT_KEEP_DAYS;
+    const start = getDayKey(Date.now() - (days - 1) * 86400000);
+    const end   = getTodayKey();
+    const res   = await fetch(
+      `${BG_API_BASE}/block-attempts?startDate=${start}&endDate=${end}&excludeDevice=${encodeURIComponent(deviceId)}`,
+      { headers: getAuthHeaders(), signal: AbortSignal.timeout(15000) }
+    );
+    if (!res.ok) return;
+    const rows = await res.json();
+    if (!Array.isArray(rows)) return;
 
-  if (hard) {
-    pomodoroTimer = setTimeout(() => stopFocus(true), durationMs);
+    const cutoff = getDayKey(Date.now() - (ATTEMPT_KEEP_DAYS - 1) * 86400000);
+    const remote = existing || {};
+    for (const day in remote) {
+      if ((day >= start && day <= end) || day < cutoff) delete remote[day];
+    }
+    rows.forEach((r) => {
+      if (!r.date || !r.site) return;
+      remote[r.date] = remote[r.date] || {};
+      remote[r.date][r.site] = r.count || 0;
+    });
+    await chrome.storage.local.set({ [key]: remote });
+  } catch (err) {
+    console.warn("pullRemoteBlockAttempts failed:", err.message);
   }
-
-  syncBlockedSitesInBackground();
 }
 
-async function stopFocus(force) {
-  if (!force && hardFocusActive && Date.now() < focusLockUntil) {
-    notify("Hard focus is active — cannot stop until time is up");
-    return;
-  }
-
-  clearTimeout(pomodoroTimer);
+loadAuthToken().then(() => {
+  pullRemoteBlockAttempts();
+  setInterval(pullRemoteBlockAttempts, TIME_PULL_INTERVAL_MS);
+});
 
-  focusModeOn     = false;
-  hardFocusActive = false;
-  focusLockUntil  = 0;
+/* =========================================================
+   FOCUS HISTORY
+   Every focus session — soft, hard or a Pomodoro work round —
+   is opened by startFocus() and closed by stopFocus(). The
+   open one lives in focusSession (also in storage, so it
+   survives worker restarts):
+     { sessionId, date, startedAt, plannedEnd, hard,
+       allowlist, pomodoro, blockedAttempts, task,
+       domains: { domain: ms } }
+   `task` is what the user typed when starting (focusTask, kept
+   for every round of a Pomodoro cycle; the last
+   RECENT_TASKS_MAX are suggested next time), and `domains`
+   is the time trackOneSecond() recorded during the session,
+   saved with each flush. Closing adds endedAt and an
+   outcome: "completed" if it reached plannedEnd, "abandoned"
+   if it was stopped early.
+   Closed sessions are kept in focusSessions_<userId> for
+   FOCUS_HISTORY_DAYS and queued in focusSessionsPending_<userId>
+   for /focus-sessions, which the dashboard reads so it sees
+   every device.
+========================================================= */
+const FOCUS_HISTORY_DAYS   = 90;
+const SESSION_MAX_DOMAINS  = 50;    // same as MAX_SESSION_DOMAINS on the server
+const FOCUS_TASK_MAX       = 120;
+const RECENT_TASKS_MAX     = 8;
+
+let _sessionsUploading  = false;
+let _focusSessionDirty  = false;
+
+// Sets the task for sessions started from now on and moves it to the top of the suggestions
+async function setFocusTask(task) {
+  focusTask = typeof task === "string" ? task.trim().slice(0, FOCUS_TASK_MAX) : "";
+  await chrome.storage.local.set({ focusTask });
+  if (!focusTask) return;
+  const key    = recentTasksKey();
+  const recent = (await chrome.storage.local.get(key))[key] || [];
+  const next   = [focusTask, ...recent.filter((t) => t.toLowerCase() !== focusTask.toLowerCase())];
+  await chrome.storage.local.set({ [key]: next.slice(0, RECENT_TASKS_MAX) });
+}
 
-  await chrome.storage.local.set({
-    focusMode:       false,
-    hardFocusActive: false,
-    focusLockUntil:  0
-  });
+function creditFocusSession(domain) {
+  if (!focusModeOn || !focusSession) return;
+  const domains = focusSession.domains = focusSession.domains || {};
+  domains[domain] = (domains[domain] || 0) + 1000;
+  _focusSessionDirty = true;
+}
 
-  await disableBlocking();
+async function saveFocusSessionProgress() {
+  if (!_focusSessionDirty || !focusSession) return;
+  _focusSessionDirty = false;
+  await chrome.storage.local.set({ focusSession });
+}
 
-  const extId = chrome.runtime.id;
-  chrome.tabs.query({ windowType: "normal" }, (tabs) => {
-    if (chrome.runtime.lastError) return;
-    (tabs || []).forEach((tab) => {
-      if (tab.url && tab.url.includes(extId) && tab.url.includes("blocked.html")) {
-        chrome.tabs.goBack(tab.id, () => { void chrome.runtime.lastError; });
-      }
-    });
-  });
+async function openFocusSession(hard, allowlist) {
+  if (focusSession) await closeFocusSession();
+  focusSession = {
+    sessionId:  crypto.randomUUID(),
+    date:       getTodayKey(),
+    startedAt:  Date.now(),
+    plannedEnd: focusEndsAt,
+    hard, allowlist,
+    pomodoro:   !!pomodoro,
+    blockedAttempts: 0,
+    task:       focusTask,
+    domains:    {}
+  };
+  await chrome.storage.local.set({ focusSession });
+}
 
-  updateBadge();
-  notify("Focus Mode OFF — sites unblocked");
+async function closeFocusSession() {
+  const open = focusSession;
+  if (!open) return;
+  focusSession = null;
+
+  // A session that ran out while the browser was closed ended on time
+  const now       = Date.now();
+  const completed = now >= open.plannedEnd - 1000;
+  const session   = {
+    ...open,
+    endedAt: completed ? Math.min(now, open.plannedEnd) : now,
+    outcome: completed ? "completed" : "abandoned",
+    domains: Object.fromEntries(Object.entries(open.domains || {})
+      .sort((a, b) => b[1] - a[1]).slice(0, SESSION_MAX_DOMAINS))
+  };
+
+  const key = focusHistoryKey(), syncKey = focusHistorySyncKey();
+  const d       = await chrome.storage.local.get([key, syncKey]);
+  const cutoff  = getDayKey(now - (FOCUS_HISTORY_DAYS - 1) * 86400000);
+  const history = (d[key] || []).filter((x) => x.date >= cutoff);
+  history.push(session);
+  await chrome.storage.local.set({ [key]: history, [syncKey]: [...(d[syncKey] || []), session] });
+  await chrome.storage.local.remove("focusSession");
+  uploadFocusSessions().catch(console.error);
 }
 
-/* =========================================================
-   BACKGROUND SERVER SYNC FOR BLOCKED SITES
-========================================================= */
-async function syncBlockedSitesInBackground() {
-  const token = await loadAuthToken();
-  if (!token) return;
+async function uploadFocusSessions() {
+  if (_sessionsUploading || !authToken) return;
+  _sessionsUploading = true;
   try {
-    const res = await fetch(`${BG_API_BASE}/blocked-sites`, {
+    const syncKey  = focusHistorySyncKey();
+    const deviceId = await getDeviceId();
+    const pending  = (await chrome.storage.local.get(syncKey))[syncKey] || [];
+    if (pending.length === 0) return;
+
+    const settled = await uploadInChunks(pending, (sessions) => fetch(`${BG_API_BASE}/focus-sessions`, {
+      method:  "POST",
       headers: getAuthHeaders(),
+      body:    JSON.stringify({ deviceId, sessions }),
       signal:  AbortSignal.timeout(10000)
-    });
-    if (!res.ok) return;
-    const serverSites = await res.json();
-    if (!Array.isArray(serverSites) || serverSites.length === 0) return;
-
-    const local  = await getBlockedSites();
-    const merged = [...new Set([...serverSites, ...local])].sort();
-    await new Promise((r) => chrome.storage.local.set({ [blockedSitesKey()]: merged }, r));
+    }), "focus session");
+    const uploaded = new Set(settled.map((x) => x.sessionId));
 
-    if (focusModeOn) await enableBlocking();
+    // Sessions closed while we were uploading stay queued
+    const latest = (await chrome.storage.local.get(syncKey))[syncKey] || [];
+    await chrome.storage.local.set({ [syncKey]: latest.filter((x) => !uploaded.has(x.sessionId)) });
   } catch (err) {
-    console.warn("syncBlockedSitesInBackground failed:", err.message);
+    console.warn("uploadFocusSessions failed:", err.message);
+  } finally {
+    _sessionsUploading = false;
   }
 }
 
+loadAuthToken().then(() => {
+  uploadFocusSessions();
+  setInterval(uploadFocusSessions, TIME_PULL_INTERVAL_MS);
+});
+
 /* =========================================================
    MESSAGE HANDLER
 ========================================================= */
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
+    await _focusStateLoad;
     const now = Date.now();
 
     if (msg.type === "GOOGLE_AUTH") {
@@ -459,44 +2706,112 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     }
 
     if (msg.type === "FOCUS_ON") {
+      await setFocusTask(msg.task);
+      if (msg.pomodoro && !msg.hard) {
+        await startPomodoro(!!msg.allowlist);
+        sendResponse({ success: true });
+        return;
+      }
+      if (pomodoro) await stopPomodoro(true);
       const duration = (!msg.duration || msg.duration < 5) ? 25 : msg.duration;
-      await startFocus(duration, !!msg.hard);
+      await startFocus(duration, !!msg.hard, !!msg.allowlist);
       sendResponse({ success: true });
       return;
     }
 
     if (msg.type === "FOCUS_OFF") {
-      await stopFocus(false);
+      if (pomodoro) await stopPomodoro();
+      else          await stopFocus(false);
       sendResponse({ success: true });
       return;
     }
 
+    if (msg.type === "GET_RECENT_TASKS") {
+      const key = recentTasksKey();
+      sendResponse({ tasks: (await chrome.storage.local.get(key))[key] || [] });
+      return;
+    }
+
+    if (msg.type === "FOCUS_NEXT_PHASE") {
+      if (pomodoro?.waiting) await startPomodoroPhase();
+      sendResponse({ success: !!pomodoro });
+      return;
+    }
+
     if (msg.type === "GET_FOCUS_STATUS") {
       sendResponse({
         status:    focusModeOn,
+        allowlist: focusModeOn && focusAllowlist,
         locked:    hardFocusActive && now < focusLockUntil,
-        remaining: Math.max(0, focusLockUntil - now)
+        endsAt:    focusModeOn ? focusEndsAt : pomodoro?.endsAt || 0,
+        remaining: focusModeOn ? Math.max(0, focusEndsAt - now)
+          : pomodoro && !pomodoro.waiting ? Math.max(0, pomodoro.endsAt - now) : 0,
+        pomodoro:  pomodoro && { ...pomodoro, label: pomodoroRoundLabel(pomodoro) },
+        task:      focusModeOn || pomodoro ? focusTask : ""
       });
       return;
     }
 
+    if (msg.type === "BLOCKED_ATTEMPT") {
+      const site = String(msg.site || "").trim().toLowerCase().slice(0, 253);
+      if (!site) { sendResponse({ success: false }); return; }
+      if (msg.record) await recordBlockAttempt(site);
+      sendResponse({ success: true, ...(await todayAttemptCounts(site)) });
+      return;
+    }
+
+    if (msg.type === "TEMP_UNBLOCK") {
+      try {
+        const { host, until } = await grantTempUnblock(msg.site, parseInt(msg.minutes, 10), msg.reason);
+        sendResponse({ success: true, host, until });
+      } catch (err) { sendResponse({ success: false, error: err.message }); }
+      return;
+    }
+
     if (msg.type === "ADD_BLOCK_SITE") {
-      if (focusModeOn) {
-        const blockedSites = await enableBlocking();
-        chrome.tabs.query({ windowType: "normal" }, (tabs) => {
-          if (chrome.runtime.lastError) return;
-          (tabs || []).forEach((tab) => {
-            if (!tab.url || tab.url.startsWith("chrome://")) return;
-            if (isBlockedUrl(tab.url, blockedSites)) chrome.tabs.reload(tab.id);
-          });
-        });
-      }
+      reloadBlockedTabs(await applyBlockRules());
       sendResponse({ success: true });
       return;
     }
 
     if (msg.type === "REMOVE_BLOCK_SITE") {
-      if (focusModeOn) await enableBlocking();
+      await applyBlockRules();
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (msg.type === "ALLOWLIST_UPDATED") {
+      if (focusModeOn && focusAllowlist) await applyBlockRules();
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (msg.type === "SCHEDULES_UPDATED") {
+      await evaluateSchedules();
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (msg.type === "GOALS_UPDATED") {
+      await loadGoals();
+      await checkGoals();
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (msg.type === "BUDGETS_UPDATED") {
+      await loadBudgets();
+      await checkBudgets();
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (msg.type === "SYNC_TIME_ENTRIES") {
+      await flushBufferToStorage();
+      await uploadTimeEntries(true);
+      await pullRemoteTimeEntries();
+      uploadBlockAttempts(true).then(pullRemoteBlockAttempts).catch(console.error);
+      uploadFocusSessions().catch(console.error);
       sendResponse({ success: true });
       return;
     }
@@ -509,29 +2824,65 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
     if (msg.type === "AUTH_TOKEN_UPDATED") {
       await loadAuthToken();
+      await ensureTimeDataMigrated();
       await syncCategoriesFromServer();
+      pullRemoteTimeEntries().catch(console.error);
+      pullRemoteBlockAttempts().catch(console.error);
+      syncAllowedSitesFromServer().catch(console.error);
+      syncSchedulesFromServer().catch(console.error);
+      syncPreferencesFromServer().catch(console.error);
+      syncGoalsFromServer().catch(console.error);
+      loadBudgetState().then(syncBudgetsFromServer).catch(console.error);
       sendResponse({ success: true });
       return;
     }
 
     if (msg.type === "LOGOUT") {
-      clearTimeout(pomodoroTimer);
+      await flushBufferToStorage();
+      await uploadTimeEntries(true);
+      await uploadBlockAttempts(true);
+      await closeFocusSession();
+      await uploadFocusSessions();
+      chrome.alarms.clear(FOCUS_END_ALARM);
       focusModeOn     = false;
       hardFocusActive = false;
+      focusAllowlist  = false;
       focusLockUntil  = 0;
+      focusEndsAt     = 0;
+      focusTask       = "";
+      pomodoro        = null;
+      chrome.alarms.clear(POMODORO_ALARM);
+      chrome.notifications.clear(POMODORO_NOTIFICATION);
 
       const bsKey  = blockedSitesKey();
+      const alKey  = allowedSitesKey();
+      const schKey = schedulesKey();
+      const budKey = budgetsKey();
+      const budStateKey = budgetStateKey();
+      const logKey = unblockLogKey();
+      const taskKey = recentTasksKey();
+      const goalKeys = [goalsKey(), goalStateKey(), categoryLabelsKey(), categoryRulesKey()];
       const catKey = `catCustomizations_${getUserId()}`;
 
       authToken        = null;
       categoryMappings = {};
+      pathRules        = [];
+      entityRules      = {};
+      focusBlockCategories = [];
+      activeSchedules  = [];
+      budgets          = [];
+      budgetState      = { day: null, notified: [], blocked: {} };
+      goals            = [];
       updateBadge();
+      await revokeTempUnblocks();
       await disableBlocking();
+      chrome.alarms.clear(SCHEDULE_ALARM);
+      chrome.alarms.clear(BUDGET_RESET_ALARM);
       chrome.storage.local.remove([
         "authToken", "lastValidated", "userInfo",
-        bsKey,
-        "focusMode", "hardFocusActive", "focusLockUntil",
-        catKey, "_sw_heartbeat"
+        bsKey, alKey, schKey, "activeScheduleIds", budKey, budStateKey, logKey,
+        "focusMode", "hardFocusActive", "focusAllowlist", "focusAllowSnapshot", "focusLockUntil", "focusEndsAt",
+        "pomodoroState", "pomodoroSettings", "focusTask", taskKey, ...goalKeys, catKey
       ]);
       sendResponse({ success: true });
       return;
@@ -545,51 +2896,47 @@ chrome.runtime.onInstalled.addListener(restoreState);
 
 async function restoreState() {
   await loadAuthToken();
+  // Left over from the keepalive alarm that used to hold the worker up
+  chrome.alarms.clear("focus-tracker-keepalive");
+  chrome.storage.local.remove("_sw_heartbeat");
 
-  const data = await new Promise((resolve) =>
-    chrome.storage.local.get(["focusMode", "hardFocusActive", "focusLockUntil"], resolve)
-  );
-
-  const now         = Date.now();
-  const wasOn       = !!data.focusMode;
-  const wasHard     = !!data.hardFocusActive;
-  const lockUntil   = data.focusLockUntil || 0;
-  const hardExpired = wasHard && now >= lockUntil;
-
-  if (wasOn && !(wasHard && hardExpired)) {
-    focusModeOn     = true;
-    hardFocusActive = wasHard && now < lockUntil;
-    focusLockUntil  = lockUntil;
-
-    await enableBlocking();
-
-    if (wasHard && now < lockUntil) {
-      pomodoroTimer = setTimeout(() => stopFocus(true), lockUntil - now);
-    }
-    console.log("[Focus] Restored: focus ON", wasHard ? `locked until ${new Date(lockUntil).toLocaleTimeString()}` : "");
-  } else {
-    focusModeOn     = false;
-    hardFocusActive = false;
-    focusLockUntil  = 0;
-    await chrome.storage.local.set({ focusMode: false, hardFocusActive: false, focusLockUntil: 0 });
-    await disableBlocking();
-    console.log("[Focus] Restored: focus OFF");
-  }
+  // loadFocusState() has already ended a session that ran out meanwhile
+  await _focusStateLoad;
+  await applyBlockRules();
+  console.log("[Focus] Restored: focus", focusModeOn
+    ? `ON until ${new Date(focusEndsAt).toLocaleTimeString()}${hardFocusActive ? " (locked)" : ""}`
+    : "OFF");
 
   updateBadge();
 
   syncCategoriesFromServer().catch(console.error);
   syncBlockedSitesInBackground().catch(console.error);
+  syncAllowedSitesFromServer().catch(console.error);
+  syncSchedulesFromServer().catch(console.error);
+  syncBudgetsFromServer().catch(console.error);
+  syncPreferencesFromServer().catch(console.error);
+  syncGoalsFromServer().catch(console.error);
 
   chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
     if (chrome.runtime.lastError || !tabs?.[0]?.url) return;
-    const d = getDomain(tabs[0].url);
-    if (d) currentDomain = d;
+    setActiveTab(tabs[0]);
   });
 }
 
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area === "local" && changes.authToken) {
-    loadAuthToken().then(() => syncCategoriesFromServer());
+    loadAuthToken().then(() => { ensureTimeDataMigrated(); syncCategoriesFromServer(); });
+  }
+  if (area === "local" && (changes.idleThresholdSec || changes.recordIdleGaps)) {
+    loadActivitySettings();
+  }
+  if (area === "local" && changes.dayStartHour) {
+    flushBufferToStorage().then(loadDayStartHour);
+  }
+  if (area === "local" && (changes.neverTrack || changes.privateBucket || changes.incognitoPolicy)) {
+    loadPrivacySettings().then(refreshTrackedTabs);
+  }
+  if (area === "local" && changes.retentionDays) {
+    runCompaction();
   }
 });
\ No newline at end of file
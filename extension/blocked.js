@@ -0,0 +1,189 @@
+// blocked.js — script for blocked.html (MV3 pages can't run inline scripts)
+
+// ─── 1. THEME ────────────────────────────────────────────────────────────
+// The dashboard's applyTheme() sets data-theme / data-accent on document.body
+// and saves them to chrome.storage.local as { theme, accentColor }.
+// We mirror that exactly here: set both <html> and <body> to cover both paths.
+if (typeof chrome !== 'undefined' && chrome.storage) {
+  chrome.storage.local.get(['theme', 'accentColor'], (d) => {
+    const theme  = d.theme       || 'light';
+    const accent = d.accentColor || 'indigo';
+    // Set on BOTH elements — body matches dashboard, html is fallback
+    document.documentElement.setAttribute('data-theme',  theme);
+    document.documentElement.setAttribute('data-accent', accent);
+    document.body.setAttribute('data-theme',  theme);
+    document.body.setAttribute('data-accent', accent);
+  });
+}
+
+// ─── 2. BLOCKED DOMAIN ───────────────────────────────────────────────────
+// The background redirect sends the original URL as: blocked.html?site=youtube.com
+// We CANNOT use location.hostname — that returns the extension's own host ID.
+// We CANNOT use location.href's actual host for the same reason.
+// The only reliable source is the ?site= query parameter injected by background.js.
+(function () {
+  try {
+    const params = new URLSearchParams(location.search);
+    const site   = params.get('site');
+    if (site && site.length > 0) {
+      // Keyword rules arrive as "keyword:<text>" (see BLOCKED SITES in background.js)
+      document.getElementById('blockedDomain').textContent = site.startsWith('keyword:')
+        ? `URLs containing "${site.slice(8)}"`
+        : site;
+    }
+  } catch (e) {
+    // leave default "this site" text
+  }
+})();
+
+// ─── 3. WHY IT'S BLOCKED ─────────────────────────────────────────────────
+// Daily budget redirects add &reason=budget&kind=…&target=…&minutes=…
+// (see DAILY BUDGETS in background.js), allowlist sessions add
+// &reason=allowlist; everything else is focus mode or a block schedule and
+// keeps the default copy.
+(function () {
+  const params = new URLSearchParams(location.search);
+  if (params.get('reason') === 'allowlist') {
+    document.getElementById('blockedBadge').textContent = 'Allowlist Focus';
+    document.getElementById('blockedSubtitle').textContent =
+      'Only the sites on your allowlist are open during this focus session. ' +
+      'Everything else waits until it ends.';
+    return;
+  }
+  if (params.get('reason') !== 'budget') return;
+  const minutes = parseInt(params.get('minutes'), 10);
+  const target  = params.get('target');
+  const what    = !target ? 'this site'
+    : params.get('kind') === 'category' ? `${target} sites` : target;
+  document.title = 'Daily Budget Used · Focus Tracker';
+  document.getElementById('blockedBadge').textContent = 'Daily Budget Used';
+  document.getElementById('blockedTitle').innerHTML   = 'That\'s it for <strong>today.</strong>';
+  document.getElementById('blockedSubtitle').textContent =
+    `You've used ${minutes > 0 ? `your ${minutes} min` : 'today\'s budget'} for ${what}. ` +
+    'It unlocks again when your next day starts.';
+  document.getElementById('blockedFooter').innerHTML =
+    '<strong>Budget reached.</strong> Limits are set in the <span class="accent">Focus Tracker</span> ' +
+    'dashboard — tomorrow is a fresh start.';
+})();
+
+// The task typed when the session started (see FOCUS HISTORY in background.js)
+(function () {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+  chrome.runtime.sendMessage({ type: 'GET_FOCUS_STATUS' }, (res) => {
+    if (chrome.runtime.lastError || !res?.task) return;
+    const el = document.getElementById('focusTask');
+    el.textContent = 'You\'re working on: ';
+    const task = document.createElement('strong');
+    task.textContent = res.task;
+    el.appendChild(task);
+  });
+})();
+
+// ─── 4. ATTEMPT COUNT ────────────────────────────────────────────────────
+// Each fresh redirect here is logged as an attempt (see BLOCKED ATTEMPTS in
+// background.js); reloads and back/forward only show the counts again.
+(function () {
+  const site = new URLSearchParams(location.search).get('site');
+  if (!site || typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+  const nav    = performance.getEntriesByType('navigation')[0];
+  const record = !nav || nav.type === 'navigate';
+  chrome.runtime.sendMessage({ type: 'BLOCKED_ATTEMPT', site, record }, (res) => {
+    if (chrome.runtime.lastError || !res?.success || !res.site) return;
+    const times = (n) => n === 1 ? 'once' : `${n} times`;
+    const el = document.getElementById('attemptCount');
+    el.innerHTML = `You've tried to open this <strong>${times(res.site)}</strong> today`;
+    if (res.today > res.site) el.innerHTML += ` · ${res.today} blocked visits in all`;
+  });
+})();
+
+// ─── 5. TEMPORARY UNLOCK ─────────────────────────────────────────────────
+// "Let me in for N minutes": the user writes why, waits out the unlock
+// countdown (unlockDelaySec, set in the dashboard) and picks 5/10/15 min.
+// The background adds a short-lived allow rule (see TEMPORARY UNBLOCKS in
+// background.js) and we go back to the site. Never offered during hard
+// focus or for a used-up daily budget, and not for wildcard/keyword rules,
+// which have no single host.
+(function () {
+  const UNLOCK_REASON_MIN = 20;   // same as UNBLOCK_REASON_MIN in background.js
+  const params = new URLSearchParams(location.search);
+  const site   = params.get('site');
+  if (!site || site.startsWith('keyword:') || site.includes('*')) return;
+  if (params.get('reason') === 'budget') return;
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+
+  const $        = (id) => document.getElementById(id);
+  const reasonEl = $('unlockReason');
+  const btn      = $('unlockBtn');
+  let minutes = 10, delay = 30, left = null, timer = null;
+
+  function render() {
+    const short = UNLOCK_REASON_MIN - reasonEl.value.trim().length;
+    btn.disabled    = short > 0 || left > 0;
+    btn.textContent = short > 0 ? `${short} more character${short === 1 ? '' : 's'}`
+      : left > 0 ? `Wait ${left}s…` : `Unlock for ${minutes} min`;
+  }
+
+  // The countdown starts once the reason is long enough and restarts if it
+  // gets too short again
+  function onReasonInput() {
+    const ready = reasonEl.value.trim().length >= UNLOCK_REASON_MIN;
+    if (!ready) { clearInterval(timer); timer = null; left = null; }
+    else if (left === null) {
+      left  = delay;
+      timer = setInterval(() => { if (--left <= 0) clearInterval(timer); render(); }, 1000);
+    }
+    render();
+  }
+
+  chrome.runtime.sendMessage({ type: 'GET_FOCUS_STATUS' }, (res) => {
+    if (chrome.runtime.lastError || res?.locked) return;
+    chrome.storage.local.get('unlockDelaySec', (d) => {
+      if (Number.isFinite(d.unlockDelaySec)) delay = d.unlockDelaySec;
+      $('unlockPanel').hidden = false;
+    });
+  });
+
+  $('unlockToggle').addEventListener('click', () => {
+    $('unlockToggle').hidden = true;
+    $('unlockForm').hidden   = false;
+    render();
+    reasonEl.focus();
+  });
+  reasonEl.addEventListener('input', onReasonInput);
+  document.querySelectorAll('.unlock-min').forEach((b) => b.addEventListener('click', () => {
+    document.querySelectorAll('.unlock-min').forEach((x) => x.classList.toggle('active', x === b));
+    minutes = parseInt(b.dataset.min, 10);
+    render();
+  }));
+
+  btn.addEventListener('click', () => {
+    btn.disabled = true;
+    $('unlockError').textContent = '';
+    chrome.runtime.sendMessage(
+      { type: 'TEMP_UNBLOCK', site, minutes, reason: reasonEl.value.trim() },
+      (res) => {
+        if (chrome.runtime.lastError || !res?.success) {
+          $('unlockError').textContent = res?.error || 'Could not unlock this site';
+          render();
+          return;
+        }
+        // Packed domain rules only report the host, so the original path is lost
+        location.replace(`https://${site.includes('/') ? site : site + '/'}`);
+      }
+    );
+  });
+})();
+
+// ─── 6. ROTATING QUOTES ──────────────────────────────────────────────────
+const quotes = [
+  { text: "The successful warrior is the average man, with laser-like focus.", author: "Bruce Lee" },
+  { text: "It's not that I'm so smart, it's just that I stay with problems longer.", author: "Albert Einstein" },
+  { text: "Success is the sum of small efforts, repeated day in and day out.", author: "Robert Collier" },
+  { text: "Deep work is the ability to focus without distraction on a cognitively demanding task.", author: "Cal Newport" },
+  { text: "You don't need more time. You need to decide.", author: "Seth Godin" },
+  { text: "Where focus goes, energy flows.", author: "Tony Robbins" },
+  { text: "The art of being wise is knowing what to overlook.", author: "William James" },
+];
+const q = quotes[Math.floor(Math.random() * quotes.length)];
+document.getElementById('quoteText').textContent   = `"${q.text}"`;
+document.getElementById('quoteAuthor').textContent = `— ${q.author}`;
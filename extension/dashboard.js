@@ -3,6 +3,7 @@ const API = typeof API_BASE !== "undefined" ? API_BASE : "https://habit-tracker-
 let authToken     = null;
 let currentTheme  = "light";
 let currentAccent = "indigo";
+let dayStartHour  = 0;        // synced via /preferences; day keys roll over at this local hour
 let serverCategories  = [];   // domain→category mappings from /categories
 let customCatMeta     = [];   // user custom category metadata from /custom-categories
 let userCategories    = [];   // merged list shown in UI
@@ -69,13 +70,22 @@ document.addEventListener("DOMContentLoaded", async () => {
   await loadPreferences();
   await loadUserCategories();   // loads both server domain-mappings AND custom cat metadata
   renderStatCards();
+  renderHeatmapCatOptions();
   initEventListeners();
   initFocusControls();
   renderFromStorage();
+  chrome.runtime.sendMessage({ type: "SYNC_TIME_ENTRIES" }, () => { void chrome.runtime.lastError; renderFromStorage(); });
   loadBlockedSites();
+  renderBlockRulesStatus();
+  loadAllowedSites();
+  loadSchedules();
+  loadBudgets();
+  loadGoals();
+  renderAttempts();
+  renderFocusSessions();
   loadReflection();
   loadWeeklySummary();
-  startTicker();
+  connectLiveStream();
   buildEmojiGrid();
 });
 
@@ -88,8 +98,55 @@ function getUserId() {
   } catch { return authToken.slice(0, 16); }
 }
 
-function getTimeDataKey()     { return `timeData_${getUserId()}`; }
+function getAwayDataKey()     { return `awayData_${getUserId()}`; }
+function getRemoteTimeKey()   { return `remoteTimeData_${getUserId()}`; }
+function getVisitsKey()       { return `visits_${getUserId()}`; }
+
+// Local history + totals pulled from the user's other devices (see background.js TIME SYNC)
+function mergeTimeData(local, remote) {
+  const out = {};
+  [local, remote].forEach(src => {
+    for (const day in (src || {})) {
+      out[day] = out[day] || {};
+      for (const site in src[day]) {
+        const e  = src[day][site];
+        const ms = typeof e==="number" ? e : (e.time||0);
+        const prev = out[day][site];
+        const next = out[day][site] = {
+          time:     (prev?.time||0) + ms,
+          category: prev?.category || (typeof e==="object" && e.category) || "Other"
+        };
+        const listening = (prev?.listening||0) + (e?.listening||0);
+        if (listening) next.listening = listening;
+        // Path and entity splits only exist in local history
+        ["paths","entities"].forEach(f => { if (prev?.[f] || e?.[f]) next[f] = { ...prev?.[f], ...e?.[f] }; });
+      }
+    }
+  });
+  return out;
+}
+
+// This device's history (IndexedDB, see timeStore.js) + other devices' totals + the
+// live delta, for startDay..endDay inclusive — whole history when both are omitted
+async function loadTimeRange(startDay, endDay) {
+  const rKey = getRemoteTimeKey();
+  const [local, res] = await Promise.all([
+    getTimeRange(getUserId(), startDay, endDay),
+    new Promise(r => chrome.storage.local.get([rKey], r))
+  ]);
+  const remote = {};
+  for (const day in (res[rKey] || {}))
+    if ((!startDay || day >= startDay) && (!endDay || day <= endDay)) remote[day] = res[rKey][day];
+  return applyLiveDelta(mergeTimeData(local, remote));
+}
 function getBlockedSitesKey() { return `blockedSites_${getUserId()}`; }
+function getAllowedSitesKey() { return `allowedSites_${getUserId()}`; }
+function getSchedulesKey()    { return `blockSchedules_${getUserId()}`; }
+function getBudgetsKey()      { return `budgets_${getUserId()}`; }
+function getGoalsKey()        { return `goals_${getUserId()}`; }
+function getAttemptsKey()     { return `blockAttempts_${getUserId()}`; }
+function getRemoteAttemptsKey() { return `remoteBlockAttempts_${getUserId()}`; }
+function getFocusHistoryKey()   { return `focusSessions_${getUserId()}`; }
 
 /* ─── CATEGORIES — load from MongoDB ─── */
 async function loadUserCategories() {
@@ -123,6 +180,7 @@ function _rebuildUserCategories() {
       ...cat,
       color:   ov.color || cat.color,
       emoji:   ov.emoji || cat.emoji,
+      blockInFocus: !!ov.blockInFocus,
       // domains come from serverCategories (domain→category mappings)
       domains: serverCategories.filter(m => m.category === cat.id).map(m => m.domain)
     };
@@ -137,11 +195,13 @@ function _rebuildUserCategories() {
       emoji:    c.emoji || "📁",
       color:    c.color || "#6366f1",
       isCustom: true,
+      blockInFocus: !!c.blockInFocus,
       // Domains for custom cats also come from serverCategories (we now save them there)
       domains:  serverCategories.filter(m => m.category === c.catId).map(m => m.domain)
     }));
 
   userCategories = [...builtins, ...customCats];
+  renderBlockedCatsNote();
 
   // Update local cache so background.js SYNC_CATEGORIES can pick these up
   // (background.js fetches /categories which now stores custom cat domains too)
@@ -150,11 +210,45 @@ function _rebuildUserCategories() {
 
 function buildDomainMap() {
   const map = {};
-  serverCategories.forEach(m => { if (m.domain && m.category) map[m.domain] = m.category; });
+  serverCategories.forEach(m => { if (m.domain && m.category && !/[/#]/.test(m.domain)) map[m.domain] = m.category; });
   return map;
 }
 
-function getCatForDomain(domain) {
+/* Path-prefix rules ("reddit.com/r/programming") — same matching as background.js */
+function buildPathRules() {
+  return serverCategories
+    .filter(m => m.domain && m.category && m.domain.includes("/") && !m.domain.includes("#"))
+    .map(m => { const i=m.domain.indexOf("/"); return { host:m.domain.slice(0,i), prefix:m.domain.slice(i), category:m.category }; })
+    .sort((a,b) => b.prefix.length-a.prefix.length);
+}
+function pathRuleMatches(rule, domain, path) {
+  if (domain!==rule.host && !domain.endsWith("."+rule.host)) return false;
+  if (!path.startsWith(rule.prefix)) return false;
+  if (/[/?=&]$/.test(rule.prefix)) return true;
+  const next=path.charAt(rule.prefix.length);
+  return next==="" || "/?&#".includes(next);
+}
+
+/* Entity rules ("github.com#facebook/react") — entities come from background.js */
+function buildEntityRules() {
+  const map = {};
+  serverCategories.forEach(m => { if (m.domain && m.category && m.domain.includes("#")) map[m.domain] = m.category; });
+  return map;
+}
+
+function getCatForDomain(domain, path, entity) {
+  if (entity) {
+    const rules = buildEntityRules();
+    const parts = domain.toLowerCase().replace(/^www\./, "").split(".");
+    for (let i = 0; i < parts.length - 1; i++) {
+      const cid = rules[`${parts.slice(i).join(".")}#${entity}`];
+      if (cid) return userCategories.find(c => c.id === cid) || userCategories.find(c => c.id === "Other");
+    }
+  }
+  if (path) {
+    const rule = buildPathRules().find(r => pathRuleMatches(r, domain, path));
+    if (rule) return userCategories.find(c => c.id === rule.category) || userCategories.find(c => c.id === "Other");
+  }
   const map = buildDomainMap();
   const n = domain.toLowerCase().replace(/^www\./, "");
   if (map[n]) return userCategories.find(c => c.id === map[n]);
@@ -177,6 +271,8 @@ function renderStatCards() {
   const grid = document.getElementById("statsGrid");
   if (!grid) return;
   const totalCard = grid.querySelector(".stat-card.total");
+  const awayCard  = grid.querySelector(".stat-card.away");
+  const listenCard= grid.querySelector(".stat-card.listening");
   grid.innerHTML = "";
   if (totalCard) grid.appendChild(totalCard);
   userCategories.forEach(cat => {
@@ -196,87 +292,148 @@ function renderStatCards() {
     card.addEventListener("click", () => openCatEditor(cat));
     grid.appendChild(card);
   });
+  if (awayCard) grid.appendChild(awayCard);
+  if (listenCard) grid.appendChild(listenCard);
+  renderGoalCatOptions();
+}
+
+/* ─── DAY KEYS (local date, shifted by dayStartHour — must match background.js) ─── */
+function pad2(n){ return String(n).padStart(2,"0"); }
+function getDayKey(ts=Date.now()) {
+  const d=new Date(ts-dayStartHour*3600000);
+  return `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
 }
+function getTodayKey() { return getDayKey(); }
 
 /* ─── TICKER ─── */
-function getTodayKey() { return new Date().toISOString().split("T")[0]; }
 
-function startTicker() {
-  setInterval(() => {
-    if ((document.getElementById("rangeSelect")?.value||"today") !== "today") return;
-    chrome.tabs.query({ active:true, lastFocusedWindow:true }, tabs => {
-      void chrome.runtime.lastError;
-      if (!tabs?.length || !tabs[0]?.url) return;
-      const url = tabs[0].url;
-      if (!url.startsWith("http://") && !url.startsWith("https://")) return;
-      let domain;
-      try { domain = new URL(url).hostname.replace(/^www\./,""); } catch { return; }
-      if (!domain) return;
-      const cat   = getCatForDomain(domain);
-      const catId = cat?.id || "Other";
-      const today = getTodayKey();
-      const key   = getTimeDataKey();
-      chrome.storage.local.get([key], res => {
-        void chrome.runtime.lastError;
-        const td = res[key] || {};
-        td[today] = td[today] || {};
-        if (!td[today][domain]) td[today][domain] = { time:0, category: catId };
-        td[today][domain].time     += 1000;
-        td[today][domain].category  = catId;
-        chrome.storage.local.set({ [key]:td }, () => {
-          void chrome.runtime.lastError;
-          renderFromStorage();
-        });
-      });
+/* ─── LIVE STREAM ─── */
+// background.js is the only writer of timeData_; it streams the time it
+// hasn't flushed yet over a port and we render stored totals + that delta.
+let liveDelta = null;
+
+function connectLiveStream() {
+  const port = chrome.runtime.connect({ name: "live-time" });
+  port.onMessage.addListener(msg => {
+    if (msg?.type !== "LIVE_DELTA") return;
+    liveDelta = msg;
+    if ((document.getElementById("rangeSelect")?.value||"today") === "today" || msg.flushed) renderFromStorage();
+  });
+  // The worker restarts now and then — reconnect
+  port.onDisconnect.addListener(() => { void chrome.runtime.lastError; liveDelta = null; setTimeout(connectLiveStream, 1000); });
+}
+
+function applyLiveDelta(all) {
+  const d = liveDelta;
+  if (!d?.day) return all;
+  const day = all[d.day] = all[d.day] || {};
+  new Set([...Object.keys(d.time||{}), ...Object.keys(d.listening||{})]).forEach(site => {
+    const e = day[site] = day[site] || { time:0, category:d.categories?.[site]||"Other" };
+    e.time += d.time?.[site] || 0;
+    if (d.listening?.[site]) e.listening = (e.listening||0) + d.listening[site];
+    ["paths","entities"].forEach(f => {
+      if (!d[f]?.[site]) return;
+      e[f] = { ...e[f] };
+      for (const k in d[f][site]) e[f][k] = (e[f][k]||0) + d[f][site][k];
     });
-  }, 1000);
+  });
+  return all;
 }
 
 /* ─── RENDER ─── */
 function getDateKey(offset=0) {
-  const d = new Date(); d.setDate(d.getDate()-offset);
-  return d.toISOString().split("T")[0];
+  const [y,m,day] = getTodayKey().split("-").map(Number);
+  const d = new Date(y, m-1, day-offset);
+  return `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
 }
 let _lastChartRender = 0;
 
 function renderFromStorage() {
   const range = document.getElementById("rangeSelect")?.value || "today";
-  const key   = getTimeDataKey();
-  chrome.storage.local.get([key], res => {
-    void chrome.runtime.lastError;
-    const raw  = res[key] || {};
-    const isDate = Object.keys(raw).some(k => /^\d{4}-\d{2}-\d{2}$/.test(k));
-    const all  = isDate ? raw : { [getDateKey(0)]: raw };
-    let days = [];
-    if      (range==="today")     days = [getDateKey(0)];
-    else if (range==="yesterday") days = [getDateKey(1)];
-    else if (range==="7days")     days = Array.from({length:7},(_,i)=>getDateKey(i));
-    else if (range==="30days")    days = Array.from({length:30},(_,i)=>getDateKey(i));
-    const catTime={}, siteTime={}, siteCat={};
+  const awayKey = getAwayDataKey();
+  const vKey  = getVisitsKey();
+  let days = [];
+  if      (range==="today")     days = [getDateKey(0)];
+  else if (range==="yesterday") days = [getDateKey(1)];
+  else if (range==="7days")     days = Array.from({length:7},(_,i)=>getDateKey(i));
+  else if (range==="30days")    days = Array.from({length:30},(_,i)=>getDateKey(i));
+  // Today is always scanned too: budgets are daily whatever the range
+  const today = getDateKey(0);
+  const scan  = days.includes(today) ? days : [...days, today];
+  Promise.all([
+    loadTimeRange(days[days.length-1], today),
+    new Promise(r => chrome.storage.local.get([awayKey, vKey], r))
+  ]).then(([all, res]) => {
+    const away = res[awayKey] || {};
+    const catTime={}, catListen={}, siteTime={}, siteCat={}, sitePaths={}, siteEntities={};
+    const todayCat={}, todaySite={};
+    let awayMs = 0;
     userCategories.forEach(c => { catTime[c.id] = 0; });
-    days.forEach(day => {
+    scan.forEach(day => {
+      const inRange = days.includes(day);
+      const addCat  = (id, ms) => {
+        if (inRange) catTime[id] = (catTime[id] || 0) + ms;
+        if (day===today) todayCat[id] = (todayCat[id] || 0) + ms;
+      };
+      if (inRange) for (const reason in (away[day] || {})) awayMs += away[day][reason] || 0;
       const dd = all[day] || {};
       for (const site in dd) {
         const e   = dd[site];
         const ms  = typeof e==="number" ? e : (e.time||0);
         const cid = getCatForDomain(site)?.id || "Other";
-        catTime[cid]  = (catTime[cid]  || 0) + ms;
+        if (day===today) todaySite[site] = (todaySite[site] || 0) + ms;
+        // Time on a mapped entity, then under a path rule, goes to that rule's
+        // category; the rest to the domain's. A second counted under both an
+        // entity and a path rule is only given to the entity (capped by `rest`).
+        let rest = ms;
+        for (const x in (e?.entities || {})) {
+          if (inRange) {
+            siteEntities[site] = siteEntities[site] || {};
+            siteEntities[site][x] = (siteEntities[site][x] || 0) + e.entities[x];
+          }
+          const xcat = getCatForDomain(site, null, x);
+          if (!xcat || xcat.id === cid) continue;   // unmapped entities fall back to the domain
+          const xms = Math.min(e.entities[x], rest);
+          addCat(xcat.id, xms);
+          rest -= xms;
+        }
+        for (const p in (e?.paths || {})) {
+          const pms = Math.min(e.paths[p], rest);
+          const pcid = getCatForDomain(site, p)?.id || cid;
+          addCat(pcid, pms);
+          if (inRange) {
+            sitePaths[site] = sitePaths[site] || {};
+            sitePaths[site][p] = (sitePaths[site][p] || 0) + pms;
+          }
+          rest -= pms;
+        }
+        addCat(cid, rest);
+        if (!inRange) continue;
+        if (e?.listening) catListen[cid] = (catListen[cid] || 0) + e.listening;
         siteTime[site] = (siteTime[site] || 0) + ms;
         siteCat[site]  = cid;
       }
     });
-    renderStats(catTime, siteTime, siteCat);
+    renderStats(catTime, siteTime, siteCat, sitePaths, siteEntities);
+    renderBudgets(todayCat, todaySite);
+    renderGoals();
+    renderAway(awayMs);
+    renderListening(Object.values(catListen).reduce((a,b)=>a+b,0));
+    renderTimeline(days.length===1 ? (res[vKey]||{})[days[0]] : null);
     const now = Date.now();
     if (renderFromStorage._forceChart || now - _lastChartRender > 30000) {
-      renderChart(catTime);
+      renderChart(catTime, catListen);
+      renderHeatmap();
       _lastChartRender = now;
       renderFromStorage._forceChart = false;
     }
-  });
+  }).catch(err => console.warn("renderFromStorage failed:", err.message));
 }
 
 /* ─── STATS ─── */
-function renderStats(catTime, siteTime, siteCat) {
+const expandedSites = new Set();
+
+function renderStats(catTime, siteTime, siteCat, sitePaths = {}, siteEntities = {}) {
   const total = Object.values(catTime).reduce((a,b)=>a+b,0);
   const el = id => document.getElementById(id);
   if (el("totalTime")) el("totalTime").textContent = fmt(total);
@@ -305,10 +462,137 @@ function renderStats(catTime, siteTime, siteCat) {
   sorted.forEach(([site,ms]) => {
     const cat = userCategories.find(c => c.id===(siteCat[site]||"Other"));
     const pct = maxMs>0?Math.round((ms/maxMs)*100):0;
-    const li  = document.createElement("li");
-    li.innerHTML=`<span class="site-name" title="${site}">${site}</span><div class="site-bar-wrap"><div class="site-bar" style="width:${pct}%;background:${cat?.color||'var(--accent)'}"></div></div><span class="site-time">${fmt(ms)}</span>`;
+    const paths = sitePaths[site], ents = siteEntities[site];
+    const open  = (paths || ents) && expandedSites.has(site);
+    const li  = siteRow("", siteLabel(site), site, pct, cat?.color, ms, paths||ents ? (open?"▾":"▸") : "");
+    if (paths || ents) {
+      li.classList.add("expandable");
+      li.addEventListener("click",()=>{ expandedSites.has(site)?expandedSites.delete(site):expandedSites.add(site); renderFromStorage(); });
+    }
+    ul.appendChild(li);
+    if (!open) return;
+    // Entities (channels, repos…) first, then path rules with their remainder
+    const rows = Object.entries(ents||{}).sort((a,b)=>b[1]-a[1]).slice(0,8).map(([x,xms])=>[x,xms,getCatForDomain(site,null,x)||cat,"#"]);
+    if (paths) {
+      const tracked = Object.values(paths).reduce((a,b)=>a+b,0);
+      Object.entries(paths).sort((a,b)=>b[1]-a[1]).forEach(([p,pms])=>rows.push([p,pms,getCatForDomain(site,p)||cat,""]));
+      if (ms-tracked>0) rows.push(["(other pages)", ms-tracked, cat, ""]);
+    }
+    rows.forEach(([p,pms,pcat,sep])=>{
+      ul.appendChild(siteRow("site-path"+(sep?" site-entity":""), p, `${site}${sep}${p}`, ms>0?Math.round(pms/maxMs*100):0, pcat?.color, pms));
+    });
+  });
+}
+
+// One top-sites row. Hosts, paths and entities come from visited URLs, so they go in as text.
+function siteRow(cls, label, title, pct, color, ms, toggle) {
+  const li=document.createElement("li"); if (cls) li.className=cls;
+  li.innerHTML=`<span class="site-name"></span><div class="site-bar-wrap"><div class="site-bar"></div></div><span class="site-time">${fmt(ms)}</span>`;
+  const name=li.querySelector(".site-name"), bar=li.querySelector(".site-bar");
+  name.title=title;
+  if (toggle) { const t=document.createElement("span"); t.className="site-toggle"; t.textContent=toggle; name.appendChild(t); }
+  name.appendChild(document.createTextNode(label));
+  bar.style.width=pct+"%"; bar.style.background=color||"var(--accent)";
+  return li;
+}
+
+function renderAway(ms) {
+  const card=document.getElementById("awayCard"), val=document.getElementById("awayTime");
+  if (!card||!val) return;
+  card.style.display = ms>0 ? "" : "none";
+  val.textContent = fmt(ms);
+}
+
+function renderListening(ms) {
+  const card=document.getElementById("listenCard"), val=document.getElementById("listenTime");
+  if (!card||!val) return;
+  card.style.display = ms>0 ? "" : "none";
+  val.textContent = fmt(ms);
+}
+
+/* ─── HEATMAP ─── */
+// Weekday × hour intensity for one category. Only this device's history has
+// hourly buckets (remote totals from other devices are per day), and time
+// recorded before hourly tracking existed has no buckets either.
+const WEEKDAYS=["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];
+
+function renderHeatmapCatOptions() {
+  const sel=document.getElementById("heatmapCatSelect"); if(!sel) return;
+  const prev=sel.value;
+  sel.innerHTML=userCategories.map(c=>`<option value="${c.id}">${c.emoji} ${c.name}</option>`).join("");
+  sel.value=userCategories.some(c=>c.id===prev)?prev:(userCategories.find(c=>c.id==="Development")||userCategories[0])?.id||"";
+}
+
+function renderHeatmap() {
+  const wrap=document.getElementById("heatmap"); if(!wrap) return;
+  const catId=document.getElementById("heatmapCatSelect")?.value;
+  const span=parseInt(document.getElementById("heatmapRangeSelect")?.value||"7",10);
+  const cat=userCategories.find(c=>c.id===catId);
+  getTimeRange(getUserId(),getDateKey(span-1),getDateKey(0)).then(all=>{
+    const grid=WEEKDAYS.map(()=>Array(24).fill(0));
+    const dayCount=Array(7).fill(0);
+    for(let i=0;i<span;i++){
+      const day=getDateKey(i);
+      const wd=(new Date(day+"T00:00:00").getDay()+6)%7;
+      dayCount[wd]++;
+      const dd=all[day]||{};
+      for(const site in dd){
+        if(getCatForDomain(site)?.id!==catId) continue;
+        const hours=dd[site]?.hours||{};
+        for(const h in hours) grid[wd][h]+=hours[h];
+      }
+    }
+    // Average per weekday so a 30-day range isn't dominated by how many Mondays it holds
+    const avg=grid.map((row,wd)=>row.map(ms=>dayCount[wd]?ms/dayCount[wd]:0));
+    const max=Math.max(0,...avg.flat());
+    const color=cat?.color||"#6366f1";
+    wrap.innerHTML=`<div></div>`+Array.from({length:24},(_,h)=>`<div class="heatmap-hour">${h%6===0?h:""}</div>`).join("");
+    avg.forEach((row,wd)=>{
+      wrap.insertAdjacentHTML("beforeend",`<div class="heatmap-day">${WEEKDAYS[wd]}</div>`);
+      row.forEach((ms,h)=>{
+        const op=max>0?Math.max(ms>0?0.12:0,ms/max):0;
+        wrap.insertAdjacentHTML("beforeend",`<div class="heatmap-cell" title="${WEEKDAYS[wd]} ${String(h).padStart(2,"0")}:00 — avg ${fmt(ms)}"><span style="background:${color};opacity:${op.toFixed(2)}"></span></div>`);
+      });
+    });
+    const legend=document.getElementById("heatmapLegend");
+    if(legend){
+      let best=null;
+      avg.forEach((row,wd)=>row.forEach((ms,h)=>{ if(ms>0&&(!best||ms>best.ms)) best={wd,h,ms}; }));
+      legend.textContent=best
+        ?`Peak: ${WEEKDAYS[best.wd]} ${String(best.h).padStart(2,"0")}:00–${String((best.h+1)%24).padStart(2,"0")}:00 · avg ${fmt(best.ms)} of ${cat?.name||catId}`
+        :`No hourly data for ${cat?.name||"this category"} in the last ${span} days`;
+    }
+  });
+}
+
+/* ─── TIMELINE ─── */
+const TIMELINE_JOIN_MS = 60000;   // same site again within a minute reads as one visit
+
+function renderTimeline(visits) {
+  const ul=document.getElementById("visitTimeline"), badge=document.getElementById("timelineCount");
+  if (!ul) return;
+  const scroll=ul.scrollTop;
+  ul.innerHTML="";
+  if (badge) badge.style.display="none";
+  if (!visits) { ul.innerHTML=`<li class="timeline-empty">Pick Today or Yesterday to see the timeline</li>`; return; }
+  const rows=[];
+  [...visits].sort((a,b)=>a.start-b.start).forEach(v=>{
+    const last=rows[rows.length-1];
+    if (last&&last.domain===v.domain&&v.start-last.end<=TIMELINE_JOIN_MS) { last.end=Math.max(last.end,v.end); last.ms+=v.end-v.start; }
+    else rows.push({domain:v.domain,start:v.start,end:v.end,ms:v.end-v.start});
+  });
+  if (!rows.length) { ul.innerHTML=`<li class="timeline-empty">No visits recorded for this day</li>`; return; }
+  if (badge) { badge.textContent=`${rows.length} visit${rows.length===1?"":"s"}`; badge.style.display=""; }
+  const hm=t=>new Date(t).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"});
+  rows.forEach(r=>{
+    const cat=getCatForDomain(r.domain);
+    const li=document.createElement("li");
+    li.innerHTML=`<span class="timeline-range">${hm(r.start)}–${hm(r.end)}</span><span class="timeline-dot"></span><span class="timeline-site"></span><span class="timeline-dur">${fmt(r.ms)}</span>`;
+    li.querySelector(".timeline-dot").style.background=cat?.color||"var(--accent)";
+    const name=li.querySelector(".timeline-site"); name.title=r.domain; name.textContent=siteLabel(r.domain);
     ul.appendChild(li);
   });
+  ul.scrollTop=scroll;
 }
 
 function calcScore(catTime, totalMs) {
@@ -325,11 +609,12 @@ function scoreMood(s){ if(s>=85)return"Excellent day";if(s>=70)return"Strong ses
 function scoreDesc(score,total){ const hrs=(total/3600000).toFixed(1); if(score>=70)return`${hrs}h tracked · keep going`;if(score>=40)return`${hrs}h tracked · more learning helps`;return`${hrs}h tracked · time to refocus`; }
 
 /* ─── CHART ─── */
-function renderChart(catTime) {
+// Active time per category, with audible background ("listening") time stacked after it
+function renderChart(catTime, catListen = {}) {
   const container = document.getElementById("chartContainer");
   const canvas    = document.getElementById("timeChart");
   if (!canvas||!container) return;
-  const entries = userCategories.map(cat=>({cat,ms:catTime[cat.id]||0})).filter(e=>e.ms>0).sort((a,b)=>b.ms-a.ms);
+  const entries = userCategories.map(cat=>({cat,ms:catTime[cat.id]||0,listen:catListen[cat.id]||0})).filter(e=>e.ms>0||e.listen>0).sort((a,b)=>(b.ms+b.listen)-(a.ms+a.listen));
   if (timeChartInst){ timeChartInst.destroy(); timeChartInst=null; }
   const isDark = document.body.getAttribute("data-theme")==="dark";
   let emptyEl = container.querySelector(".chart-empty");
@@ -351,6 +636,7 @@ function renderChart(catTime) {
   const mutedCol=isDark?"#5c5650":"#a8a29e";
   const totalMs=entries.reduce((s,e)=>s+e.ms,0);
   const dataValues=entries.map(e=>Math.round(e.ms/60000*10)/10);
+  const listenValues=entries.map(e=>Math.round(e.listen/60000*10)/10);
   const bgColors=entries.map(e=>e.cat.color+"28");
   const bdColors=entries.map(e=>e.cat.color);
   const barLabelPlugin={
@@ -359,9 +645,9 @@ function renderChart(catTime) {
       const{ctx:c,scales:{x}}=chart;
       entries.forEach((entry,i)=>{
         const bar=chart.getDatasetMeta(0).data[i]; if(!bar)return;
-        const barRight=x.getPixelForValue(dataValues[i]);
+        const barRight=x.getPixelForValue(dataValues[i]+listenValues[i]);
         const pct=totalMs>0?Math.round((entry.ms/totalMs)*100):0;
-        const timeStr=fmt(entry.ms);
+        const timeStr=fmt(entry.ms)+(entry.listen>0?` +🎧${fmt(entry.listen)}`:"");
         c.save();
         c.font="500 11px 'JetBrains Mono',monospace"; c.fillStyle=bdColors[i]; c.textAlign="left"; c.textBaseline="middle";
         c.fillText(timeStr,barRight+8,bar.y);
@@ -373,14 +659,17 @@ function renderChart(catTime) {
     }
   };
   const widestLabel=entries.reduce((max,e,i)=>{
-    const t=fmt(e.ms),pct=Math.round((e.ms/totalMs)*100)+"%";
+    const t=fmt(e.ms)+(e.listen>0?` +🎧${fmt(e.listen)}`:""),pct=Math.round((e.ms/totalMs)*100)+"%";
     return Math.max(max,(t.length+1+pct.length)*6.6+16);
   },60);
   timeChartInst=new Chart(canvas.getContext("2d"),{
     type:"bar",
     data:{
       labels:entries.map(e=>`${e.cat.emoji}  ${e.cat.name}`),
-      datasets:[{data:dataValues,backgroundColor:bgColors,borderColor:bdColors,borderWidth:2,borderRadius:6,borderSkipped:false,clip:false}]
+      datasets:[
+        {label:"Active",data:dataValues,backgroundColor:bgColors,borderColor:bdColors,borderWidth:2,borderRadius:6,borderSkipped:false,clip:false,stack:"t"},
+        {label:"Listening",data:listenValues,backgroundColor:entries.map(e=>e.cat.color+"10"),borderColor:entries.map(e=>e.cat.color+"70"),borderWidth:1,borderRadius:6,borderSkipped:false,clip:false,stack:"t"}
+      ]
     },
     options:{
       indexAxis:"y",responsive:true,maintainAspectRatio:false,
@@ -392,15 +681,20 @@ function renderChart(catTime) {
           backgroundColor:isDark?"#1f2022":"#ffffff",titleColor:isDark?"#f2ede8":"#1c1917",
           bodyColor:isDark?"#9c9490":"#78716c",borderColor:isDark?"#2a2c2e":"#e0dbd4",
           borderWidth:1,padding:14,cornerRadius:10,displayColors:false,
+          filter:item=>item.raw>0,
           callbacks:{
             title:items=>`${entries[items[0].dataIndex].cat.emoji}  ${entries[items[0].dataIndex].cat.name}`,
-            label:item=>{const i=item.dataIndex,pct=totalMs>0?Math.round((entries[i].ms/totalMs)*100):0;return`  ${fmt(entries[i].ms)}  ·  ${pct}% of total`;}
+            label:item=>{
+              const i=item.dataIndex;
+              if(item.datasetIndex===1) return`  🎧 ${fmt(entries[i].listen)} listening in background`;
+              const pct=totalMs>0?Math.round((entries[i].ms/totalMs)*100):0;return`  ${fmt(entries[i].ms)}  ·  ${pct}% of total`;
+            }
           }
         }
       },
       scales:{
-        x:{grid:{color:gridCol,drawBorder:false},border:{display:false},ticks:{color:mutedCol,font:{size:10,family:"'JetBrains Mono',monospace"},maxTicksLimit:5,callback:v=>fmtMin(v)}},
-        y:{grid:{display:false,drawBorder:false},border:{display:false},ticks:{color:labelCol,font:{size:13,family:"'Instrument Sans',sans-serif",weight:"500"},padding:6}}
+        x:{stacked:true,grid:{color:gridCol,drawBorder:false},border:{display:false},ticks:{color:mutedCol,font:{size:10,family:"'JetBrains Mono',monospace"},maxTicksLimit:5,callback:v=>fmtMin(v)}},
+        y:{stacked:true,grid:{display:false,drawBorder:false},border:{display:false},ticks:{color:labelCol,font:{size:13,family:"'Instrument Sans',sans-serif",weight:"500"},padding:6}}
       }
     },
     plugins:[barLabelPlugin]
@@ -415,9 +709,32 @@ async function loadPreferences() {
     if (!r.ok) throw new Error();
     const p = await r.json();
     currentTheme=p.theme||"light"; currentAccent=p.accentColor||"indigo";
-  } catch { currentTheme="light"; currentAccent="indigo"; }
+    applyDayStartHour(p.dayStartHour);
+    applyPomodoro(p.pomodoro);
+  } catch {
+    currentTheme="light"; currentAccent="indigo";
+    const d=await new Promise(r=>chrome.storage.local.get(["dayStartHour","pomodoroSettings"],r));
+    applyDayStartHour(d.dayStartHour);
+    pomodoroPrefs=d.pomodoroSettings||null;
+  }
   applyTheme(currentTheme,currentAccent);
 }
+function applyDayStartHour(h) {
+  h=parseInt(h,10);
+  dayStartHour=h>=0&&h<=23?h:0;
+  chrome.storage.local.set({dayStartHour});
+}
+// Everything /preferences stores; pomodoro is left out until the server's copy is known
+function prefsBody(){ return JSON.stringify({theme:currentTheme,accentColor:currentAccent,dayStartHour,...(pomodoroPrefs&&{pomodoro:pomodoroPrefs})}); }
+async function saveDayStartHour(h) {
+  applyDayStartHour(h);
+  try {
+    const r=await apiFetch(`${API}/preferences`,{method:"POST",headers:hdrs(),body:prefsBody()});
+    if(!r.ok) throw new Error();
+    toast("Day start saved");
+  } catch { toast("Saved locally — sync failed","err"); }
+  _lastChartRender=0; renderFromStorage(); loadReflection();
+}
 function applyTheme(theme,accent) {
   document.body.setAttribute("data-theme",theme);
   document.body.setAttribute("data-accent",accent);
@@ -428,11 +745,123 @@ function applyTheme(theme,accent) {
 }
 async function saveSettings() {
   try {
-    await apiFetch(`${API}/preferences`,{method:"POST",headers:hdrs(),body:JSON.stringify({theme:currentTheme,accentColor:currentAccent})});
+    await apiFetch(`${API}/preferences`,{method:"POST",headers:hdrs(),body:prefsBody()});
     closeSettings(); toast("Settings saved");
   } catch { toast("Failed to save","err"); }
 }
 
+/* ─── POMODORO (synced via /preferences; background.js reads the pomodoroSettings copy) ─── */
+const POMODORO_LIMITS={workMin:[5,180],shortBreakMin:[1,60],longBreakMin:[1,120],roundsBeforeLong:[1,12]};
+let pomodoroPrefs=null;
+function applyPomodoro(p) {
+  if (!p) return;
+  pomodoroPrefs=p;
+  chrome.storage.local.set({pomodoroSettings:p});
+}
+function loadPomodoroSettings() {
+  const p=pomodoroPrefs||{workMin:25,shortBreakMin:5,longBreakMin:15,roundsBeforeLong:4,autoAdvance:true};
+  document.querySelectorAll("[data-pomo]").forEach(i=>{ i.value=String(p[i.dataset.pomo]); });
+  const tg=document.getElementById("pomoAutoToggle"); if (tg) tg.checked=p.autoAdvance!==false;
+}
+async function savePomodoroSetting(key,value) {
+  const lim=POMODORO_LIMITS[key];
+  if (lim&&!(Number.isInteger(value)&&value>=lim[0]&&value<=lim[1])) { toast(`Must be ${lim[0]}–${lim[1]}`,"err"); loadPomodoroSettings(); return; }
+  applyPomodoro({workMin:25,shortBreakMin:5,longBreakMin:15,roundsBeforeLong:4,autoAdvance:true,...pomodoroPrefs,[key]:value});
+  try {
+    const r=await apiFetch(`${API}/preferences`,{method:"POST",headers:hdrs(),body:prefsBody()});
+    if(!r.ok) throw new Error();
+    toast("Pomodoro saved");
+  } catch { toast("Saved locally — sync failed","err"); }
+}
+
+/* ─── TRACKING SETTINGS (local only — background.js reads them via storage.onChanged;
+   unlockDelaySec is read by blocked.js) ─── */
+function loadTrackingSettings() {
+  chrome.storage.local.get(["idleThresholdSec","recordIdleGaps","unlockDelaySec"], d => {
+    const sel=document.getElementById("idleThresholdSelect");
+    if (sel) sel.value=String(d.idleThresholdSec||120);
+    const ud=document.getElementById("unlockDelaySelect");
+    if (ud) ud.value=String(d.unlockDelaySec??30);
+    const tg=document.getElementById("recordIdleGapsToggle");
+    if (tg) tg.checked=!!d.recordIdleGaps;
+  });
+  const ds=document.getElementById("dayStartSelect");
+  if (ds) ds.value=String(dayStartHour);
+}
+function saveTrackingSetting(key,value) {
+  chrome.storage.local.set({[key]:value},()=>{ void chrome.runtime.lastError; toast("Tracking setting saved"); });
+}
+
+/* ─── PRIVACY (local only — background.js reads these via storage.onChanged) ─── */
+const PRIVATE_BUCKET="private";
+function siteLabel(site){ return site===PRIVATE_BUCKET?"🔒 Private":site; }
+
+let neverTrackList=[];
+function loadPrivacySettings() {
+  chrome.storage.local.get(["neverTrack","privateBucket","incognitoPolicy"], d => {
+    neverTrackList=d.neverTrack||[];
+    renderNeverTrackTags();
+    const tg=document.getElementById("privateBucketToggle"); if (tg) tg.checked=!!d.privateBucket;
+    const sel=document.getElementById("incognitoPolicySelect"); if (sel) sel.value=d.incognitoPolicy||"ignore";
+  });
+  chrome.extension.isAllowedIncognitoAccess(allowed=>{
+    const sel=document.getElementById("incognitoPolicySelect"); if (sel) sel.disabled=!allowed;
+    if (sel) sel.title=allowed?"":"Allow the extension in incognito (chrome://extensions) to use this";
+  });
+}
+function renderNeverTrackTags() {
+  const wrap=document.getElementById("neverTrackTags"); if(!wrap) return;
+  wrap.innerHTML="";
+  neverTrackList.forEach(p=>{
+    const tag=document.createElement("div"); tag.className="domain-tag";
+    tag.innerHTML=`<span>${p}</span><button title="Remove">×</button>`;
+    tag.querySelector("button").addEventListener("click",()=>saveNeverTrack(neverTrackList.filter(x=>x!==p)));
+    wrap.appendChild(tag);
+  });
+}
+function addNeverTrack() {
+  const inp=document.getElementById("neverTrackInput"); if(!inp) return;
+  const p=inp.value.trim().toLowerCase().replace(/^https?:\/\//,"").replace(/^www\./,"").split("/")[0];
+  if(!p) return;
+  if(!/^[a-z0-9*.-]+$/.test(p)||!/[a-z0-9]/.test(p)){ toast("Use a domain, optionally with * (e.g. *.health.org)","err"); return; }
+  inp.value="";
+  if(!neverTrackList.includes(p)) saveNeverTrack([...neverTrackList,p]);
+}
+function saveNeverTrack(list) {
+  neverTrackList=list; renderNeverTrackTags();
+  chrome.storage.local.set({neverTrack:list},()=>{ void chrome.runtime.lastError; toast("Privacy list saved"); });
+}
+
+/* ─── HISTORY & STORAGE (background.js compacts on an alarm and whenever retentionDays changes) ─── */
+function fmtBytes(b){ return b>=1048576?`${(b/1048576).toFixed(1)} MB`:`${Math.max(1,Math.round(b/1024))} KB`; }
+
+async function loadStorageSettings() {
+  const d=await chrome.storage.local.get(["retentionDays","storageWarning"]);
+  const sel=document.getElementById("retentionSelect");
+  if (sel) sel.value=String(d.retentionDays??180);
+  const warn=document.getElementById("storageWarning");
+  if (warn) {
+    warn.style.display=d.storageWarning?"":"none";
+    if (d.storageWarning) warn.textContent=`⚠️ Storage is ${Math.round(d.storageWarning.ratio*100)}% full — keep less detail to free space.`;
+  }
+  const box=document.getElementById("storageUsage"); if(!box) return;
+  const local=await chrome.storage.local.getBytesInUse(null);
+  const est=await navigator.storage.estimate().catch(()=>({}));
+  const rows=[["Settings & sync queue",local,chrome.storage.local.QUOTA_BYTES||10485760],["Tracked history",est.usage||0,est.quota||0]];
+  box.innerHTML=rows.map(([label,used,quota])=>{
+    const pct=quota?Math.min(100,used/quota*100):0;
+    return `<div class="usage-row"><span>${label}</span><span>${fmtBytes(used)}${quota?` of ${fmtBytes(quota)}`:""}</span></div><div class="usage-bar"><div class="usage-fill${pct>=80?" high":""}" style="width:${Math.max(pct,1)}%"></div></div>`;
+  }).join("");
+}
+
+function saveRetentionDays(value) {
+  const days=parseInt(value,10);
+  if (days>0 && !confirm(`Days older than ${days} days will be rolled into weekly totals and their per-site detail removed. Continue?`)) {
+    loadStorageSettings(); return;
+  }
+  chrome.storage.local.set({retentionDays:days},()=>{ void chrome.runtime.lastError; toast("History setting saved"); setTimeout(loadStorageSettings,1500); });
+}
+
 /* ─── LOGOUT ─── */
 async function logout() {
   if (!confirm("Sign out?")) return;
@@ -456,7 +885,10 @@ function openNewCatEditor() {
   if(nm){ nm.value=""; nm.readOnly=false; nm.style.opacity="1"; nm.placeholder="Category name…"; nm.focus(); }
   const db=document.getElementById("deleteCatBtn"); if(db) db.style.display="none";
   const ew=document.getElementById("emojiPickerWrap"); if(ew) ew.style.display="none";
+  const bi=document.getElementById("catBudgetInput"); if(bi) bi.value="";
+  const bf=document.getElementById("catBlockInFocusToggle"); if(bf) bf.checked=false;
   renderDomainTags();
+  loadEntitySuggestions();
   document.getElementById("catEditorModal").classList.add("open");
 }
 
@@ -472,7 +904,11 @@ function openCatEditor(cat) {
   if(nm){ nm.value=cat.name; nm.readOnly=isBuiltin; nm.style.opacity=isBuiltin?"0.6":"1"; }
   const db=document.getElementById("deleteCatBtn"); if(db) db.style.display=isBuiltin?"none":"flex";
   const ew=document.getElementById("emojiPickerWrap"); if(ew) ew.style.display="none";
+  const bi=document.getElementById("catBudgetInput");
+  if(bi) bi.value=budgets.find(b=>b.kind==="category"&&b.target===cat.id)?.minutes||"";
+  const bf=document.getElementById("catBlockInFocusToggle"); if(bf) bf.checked=!!cat.blockInFocus;
   renderDomainTags();
+  loadEntitySuggestions();
   document.getElementById("catEditorModal").classList.add("open");
 }
 
@@ -492,8 +928,19 @@ async function deleteCatFromEditor() {
     const r=await apiFetch(`${API}/custom-categories/${encodeURIComponent(editingCatId)}`,{method:"DELETE",headers:hdrs()});
     if (!r.ok) throw new Error("Server error");
     toast(`"${cat.name}" deleted`);
+    // The server drops the category's budget with it
+    if (budgets.some(b=>b.kind==="category"&&b.target===editingCatId)) {
+      budgets=budgets.filter(b=>!(b.kind==="category"&&b.target===editingCatId));
+      await budgetsChanged();
+    }
+    // …and its goals
+    if (goals.some(g=>g.category===editingCatId)) {
+      goals=goals.filter(g=>g.category!==editingCatId);
+      await goalsChanged();
+    }
     await loadUserCategories();
     renderStatCards();
+    renderHeatmapCatOptions();
     renderFromStorage._forceChart=true;
     renderFromStorage();
     renderSettingsCatList();
@@ -504,6 +951,24 @@ async function deleteCatFromEditor() {
   }
 }
 
+// Entities seen in the last 30 days, most-used first, as "host#entity" suggestions
+function loadEntitySuggestions() {
+  const list=document.getElementById("entitySuggestions"); if(!list) return;
+  loadTimeRange(getDateKey(29),getDateKey(0)).then(all=>{
+    const totals={};
+    for(let i=0;i<30;i++){
+      const dd=all[getDateKey(i)]||{};
+      for(const site in dd) for(const x in (dd[site]?.entities||{})){
+        const k=`${site.replace(/^www\./,"")}#${x}`; totals[k]=(totals[k]||0)+dd[site].entities[x];
+      }
+    }
+    list.innerHTML="";
+    Object.entries(totals).sort((a,b)=>b[1]-a[1]).slice(0,50).forEach(([k])=>{
+      const o=document.createElement("option"); o.value=k; list.appendChild(o);
+    });
+  });
+}
+
 function renderDomainTags() {
   const wrap=document.getElementById("domainTags"); if(!wrap) return;
   wrap.innerHTML="";
@@ -517,10 +982,25 @@ function renderDomainTags() {
 
 function addDomainToEdit() {
   const inp=document.getElementById("newDomainInput"); if(!inp) return;
-  let raw=inp.value.trim().toLowerCase();
+  let raw=inp.value.trim();
   if(!raw) return;
-  raw=raw.replace(/^https?:\/\//,"").replace(/^www\./,"").split("/")[0].split("?")[0];
-  if(!raw.includes(".")){ toast("Enter a valid domain (e.g. youtube.com)","err"); return; }
+  // "github.com#facebook/react" maps a single channel / subreddit / repo / tag
+  const hash=raw.indexOf("#");
+  if(hash>0){
+    const host=raw.slice(0,hash).replace(/^https?:\/\//i,"").split("/")[0].toLowerCase().replace(/^www\./,"");
+    const entity=raw.slice(hash+1).trim();
+    if(!host.includes(".")||!entity){ toast("Enter a valid entity (e.g. github.com#facebook/react)","err"); return; }
+    raw=`${host}#${entity}`;
+    if(!editDomains.includes(raw)) editDomains.push(raw);
+    inp.value=""; renderDomainTags(); return;
+  }
+  // Keep any path: "reddit.com/r/programming" becomes a path-prefix rule
+  const m=raw.replace(/^https?:\/\//i,"").match(/^([^/?#]+)([/?][^#]*)?/);
+  if(!m){ toast("Enter a valid domain (e.g. youtube.com)","err"); return; }
+  let path=m[2]||"";
+  if(path.startsWith("?")) path="/"+path;
+  raw=m[1].toLowerCase().replace(/^www\./,"")+path.replace(/\/+$/,"");
+  if(!raw.split("/")[0].includes(".")){ toast("Enter a valid domain (e.g. youtube.com)","err"); return; }
   if(!editDomains.includes(raw)) editDomains.push(raw);
   inp.value=""; renderDomainTags();
 }
@@ -547,10 +1027,12 @@ async function saveCatEditor() {
   // ── Step 1: Save category metadata to MongoDB (/custom-categories) ──
   // This saves name/emoji/color for ALL categories (builtins too, as overrides)
   // For builtins we save the override. For custom cats we save the full record.
+  // blockInFocus makes background.js block the category's domains during focus.
+  const blockInFocus=!!document.getElementById("catBlockInFocusToggle")?.checked;
   try {
     const r=await apiFetch(`${API}/custom-categories`,{
       method:"POST", headers:hdrs(),
-      body:JSON.stringify({ catId, name:currentName, emoji:currentEmoji, color:editColor })
+      body:JSON.stringify({ catId, name:currentName, emoji:currentEmoji, color:editColor, blockInFocus })
     });
     if(!r.ok){ const e=await r.json().catch(()=>{}); toast(`Failed to save category: ${e?.error||r.status}`,"err"); hasError=true; }
   } catch { toast("Error saving category metadata","err"); hasError=true; }
@@ -577,11 +1059,23 @@ async function saveCatEditor() {
     } catch { toast(`Error removing ${domain}`,"err"); hasError=true; }
   }
 
+  // ── Step 3: Daily budget (/budgets) — empty removes it ──
+  const budgetRaw=document.getElementById("catBudgetInput")?.value.trim();
+  const budget=budgets.find(b=>b.kind==="category"&&b.target===catId);
+  const minutes=parseInt(budgetRaw,10);
+  if(budgetRaw&&!(minutes>=1&&minutes<=1440)){ toast("Daily budget must be 1–1440 minutes","err"); hasError=true; }
+  else if(budgetRaw&&minutes!==budget?.minutes){
+    try{ await saveBudget({kind:"category",target:catId,minutes,warnAt:budget?.warnAt??80}); }
+    catch(e){ toast(`Failed to save budget: ${e.message}`,"err"); hasError=true; }
+  }
+  else if(!budgetRaw&&budget) await deleteBudget(budget,true);
+
   if(!hasError) toast(isNewCat?`"${currentName}" created ✓`:"Category saved ✓");
 
-  // ── Step 3: Reload everything from server ──
+  // ── Step 4: Reload everything from server ──
   await loadUserCategories();
   renderStatCards();
+  renderHeatmapCatOptions();
   renderFromStorage._forceChart=true;
   renderFromStorage();
   chrome.runtime.sendMessage({type:"SYNC_CATEGORIES"},()=>void chrome.runtime.lastError);
@@ -614,7 +1108,7 @@ function renderSettingsCatList() {
     const li=document.createElement("li"); li.className="cat-list-item";
     li.innerHTML=`
       <span class="cat-icon">${cat.emoji}</span>
-      <div class="cat-meta"><span class="cat-name">${cat.name}</span><span class="cat-domain-count">${cat.domains?.length||0} domain${(cat.domains?.length||0)===1?"":"s"}</span></div>
+      <div class="cat-meta"><span class="cat-name">${cat.name}</span><span class="cat-domain-count">${cat.domains?.length||0} domain${(cat.domains?.length||0)===1?"":"s"}${cat.blockInFocus?" · blocked in focus":""}</span></div>
       <div class="cat-color-dot" style="background:${cat.color};width:12px;height:12px;border-radius:50%;flex-shrink:0;"></div>
       <span class="${isCustom?'cat-custom-badge':'cat-system-badge'}" style="font-size:10px;padding:2px 6px;border-radius:10px;background:${isCustom?'#e0e7ff':'#f1f5f9'};color:${isCustom?'#6366f1':'#64748b'};">${isCustom?"custom":"system"}</span>
       <span class="cat-edit-arrow" style="color:var(--text-3);font-size:18px;">›</span>
@@ -626,6 +1120,20 @@ function renderSettingsCatList() {
 }
 
 /* ─── BLOCKED SITES ─── */
+// Categories flagged "block during focus" (set in the category editor)
+function renderBlockedCatsNote() {
+  const el=document.getElementById("blockedCatsNote"); if(!el) return;
+  const cats=userCategories.filter(c=>c.blockInFocus);
+  el.style.display=cats.length?"":"none";
+  el.innerHTML=cats.length?"Also blocked during focus: ":"";
+  cats.forEach((c,i)=>{
+    const b=document.createElement("button"); b.className="blocked-cat-chip";
+    b.textContent=`${c.emoji} ${c.name}`; b.title="Edit category";
+    b.addEventListener("click",()=>openCatEditor(c));
+    el.append(i?" ":"",b);
+  });
+}
+
 async function loadBlockedSites() {
   const list=document.getElementById("blockedSitesList"); if(!list) return;
   list.innerHTML=`<li class="blocked-loading"><span>Loading…</span></li>`;
@@ -644,17 +1152,41 @@ async function loadBlockedSites() {
     if(!allSites.length){ list.innerHTML=`<li class="blocked-empty"><span class="blocked-empty-icon">🌐</span><span>No blocked sites yet</span></li>`; return; }
     allSites.forEach(site=>{
       const li=document.createElement("li"); li.className="blocked-site-row";
-      const span=document.createElement("span"); span.className="blocked-site-name"; span.textContent=site;
+      const type=blockRuleType(site);
+      const span=document.createElement("span"); span.className="blocked-site-name";
+      span.textContent=type==="keyword"?site.slice(KEYWORD_PREFIX.length):site;
+      const tag=document.createElement("span"); tag.className="rule-type-tag"; tag.textContent=type;
       const btn=document.createElement("button"); btn.className="blocked-del-btn";
       btn.innerHTML=`<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>`;
       btn.disabled=focusOn; btn.title=focusOn?"Stop focus first":`Remove ${site}`;
       if(focusOn) btn.style.opacity="0.35";
       btn.addEventListener("click",()=>delBlockedSite(site));
-      li.appendChild(span); li.appendChild(btn); list.appendChild(li);
+      li.appendChild(span); if(type!=="domain") li.appendChild(tag); li.appendChild(btn); list.appendChild(li);
     });
   } catch(err){ console.error("loadBlockedSites:",err); list.innerHTML=`<li class="blocked-error"><span>Failed to load — check connection</span></li>`; }
 }
 
+// Blocked-site entries: "reddit.com", "youtube.com/shorts", "*.example.*" or
+// "keyword:/r/all" — the server normalizes them (see BLOCKED SITES in background.js)
+const KEYWORD_PREFIX="keyword:";
+const BLOCK_RULE_HINTS={ domain:"youtube.com", path:"youtube.com/shorts", wildcard:"*.example.*", keyword:"/r/all" };
+function blockRuleType(entry){
+  if(entry.startsWith(KEYWORD_PREFIX)) return "keyword";
+  if(entry.includes("*")) return "wildcard";
+  return /[/?]/.test(entry)?"path":"domain";
+}
+
+// Set by applyBlockRules() in background.js when Chrome refused or couldn't fit the rules
+function renderBlockRulesStatus(){
+  chrome.storage.local.get(["blockRulesStatus"],({blockRulesStatus:st})=>{
+    const el=document.getElementById("blockRulesError"); if(!el) return;
+    const msg=st?.error?`Chrome rejected the blocking rules — nothing new is blocked (${st.error})`
+      :st?.dropped?`Chrome's rule limit is reached — ${st.dropped} of ${st.entries} entries aren't blocked. Remove some rules or use wildcards.`
+      :"";
+    el.textContent=msg; el.style.display=msg?"":"none";
+  });
+}
+
 function normSite(raw){
   let s=raw.trim().toLowerCase();
   if(!s.startsWith("http://")&&!s.startsWith("https://")) s="https://"+s;
@@ -682,16 +1214,19 @@ async function delBlockedSite(site){
 async function addBlockedSite(){
   const inp=document.getElementById("blockSiteInput");
   const btn=document.getElementById("addBlockSite");
+  const type=document.getElementById("blockRuleType")?.value||"domain";
   const raw=inp?.value.trim();
-  if(!raw){ toast("Enter a domain","err"); return; }
-  const nd=normSite(raw);
-  if(!nd||!nd.includes(".")){ toast("Enter a valid domain","err"); return; }
+  if(!raw){ toast(type==="keyword"?"Enter a keyword":"Enter a domain","err"); return; }
+  let nd=type==="domain"?normSite(raw):raw;
+  if(type==="domain"&&(!nd||!nd.includes("."))){ toast("Enter a valid domain","err"); return; }
   await loadAuthToken();
   if(btn){ btn.disabled=true; btn.textContent="…"; }
   const bsKey=getBlockedSitesKey();
   try{
-    const r=await apiFetch(`${API}/blocked-sites`,{method:"POST",headers:hdrs(),body:JSON.stringify({site:nd})});
-    if(!r.ok){ const e=await r.json().catch(()=>{}); throw new Error(e?.error||`Error ${r.status}`); }
+    const r=await apiFetch(`${API}/blocked-sites`,{method:"POST",headers:hdrs(),body:JSON.stringify({site:nd,type})});
+    const res=await r.json().catch(()=>({}));
+    if(!r.ok) throw new Error(res?.error||`Error ${r.status}`);
+    nd=res.site||nd;   // the server's canonical form
     await new Promise(resolve=>{
       chrome.storage.local.get([bsKey],d=>{
         void chrome.runtime.lastError;
@@ -701,20 +1236,501 @@ async function addBlockedSite(){
       });
     });
     if(inp) inp.value="";
-    toast(`${nd} blocked ✓`);
+    toast(`${type==="keyword"?`"${nd.slice(KEYWORD_PREFIX.length)}"`:nd} blocked ✓`);
     chrome.runtime.sendMessage({type:"ADD_BLOCK_SITE",site:nd},()=>void chrome.runtime.lastError);
     loadBlockedSites();
   } catch(e){ toast(e.message||"Failed","err"); }
   finally{ if(btn){ btn.disabled=false; btn.textContent="Block"; } }
 }
 
+/* ─── ALLOWED SITES (allowlist-only focus; saved to /allowed-sites) ─── */
+async function loadAllowedSites() {
+  const list=document.getElementById("allowedSitesList"); if(!list) return;
+  const key=getAllowedSitesKey();
+  let sites;
+  try{
+    const r=await apiFetch(`${API}/allowed-sites`,{headers:hdrs()});
+    if(!r.ok) throw new Error(`Error ${r.status}`);
+    sites=await r.json(); if(!Array.isArray(sites)) sites=[];
+    sites.sort();
+    chrome.storage.local.set({[key]:sites},()=>void chrome.runtime.lastError);
+  } catch {
+    const d=await chrome.storage.local.get([key]); sites=d[key]||[];
+  }
+  list.innerHTML="";
+  if(!sites.length){ list.innerHTML=`<li class="blocked-empty"><span class="blocked-empty-icon">✅</span><span>Nothing allowed yet — an allowlist session blocks every site</span></li>`; return; }
+  sites.forEach(site=>{
+    const li=document.createElement("li"); li.className="blocked-site-row";
+    const span=document.createElement("span"); span.className="blocked-site-name"; span.textContent=site;
+    const btn=document.createElement("button"); btn.className="blocked-del-btn"; btn.title=`Remove ${site}`;
+    btn.innerHTML=`<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>`;
+    btn.addEventListener("click",()=>delAllowedSite(site));
+    li.appendChild(span); li.appendChild(btn); list.appendChild(li);
+  });
+}
+
+async function addAllowedSite() {
+  const inp=document.getElementById("allowSiteInput");
+  const nd=normSite(inp?.value||"");
+  if(!nd||!nd.includes(".")){ toast("Enter a valid domain","err"); return; }
+  try{
+    const r=await apiFetch(`${API}/allowed-sites`,{method:"POST",headers:hdrs(),body:JSON.stringify({site:nd})});
+    if(!r.ok){ const e=await r.json().catch(()=>{}); throw new Error(e?.error||`Error ${r.status}`); }
+    const key=getAllowedSitesKey(), d=await chrome.storage.local.get([key]);
+    await chrome.storage.local.set({[key]:[...new Set([...(d[key]||[]),nd])].sort()});
+    inp.value="";
+    toast(`${nd} allowed ✓`);
+    chrome.runtime.sendMessage({type:"ALLOWLIST_UPDATED"},()=>void chrome.runtime.lastError);
+    loadAllowedSites();
+  } catch(e){ toast(e.message||"Failed","err"); }
+}
+
+async function delAllowedSite(site) {
+  try{
+    const r=await apiFetch(`${API}/allowed-sites/${encodeURIComponent(site)}`,{method:"DELETE",headers:hdrs()});
+    if(!r.ok&&r.status!==404) throw new Error(`Server error ${r.status}`);
+    const key=getAllowedSitesKey(), d=await chrome.storage.local.get([key]);
+    await chrome.storage.local.set({[key]:(d[key]||[]).filter(s=>s!==site)});
+    chrome.runtime.sendMessage({type:"ALLOWLIST_UPDATED"},()=>void chrome.runtime.lastError);
+    toast(`${site} removed`); loadAllowedSites();
+  } catch(err){ toast(`Failed to remove: ${err.message}`,"err"); }
+}
+
+/* ─── BLOCK SCHEDULES (saved to /block-schedules; background.js runs them on alarms) ─── */
+const SCHEDULE_DAYS=[1,2,3,4,5,6,0];   // Mon-first display; values are Date#getDay
+const DAY_NAMES=["Sun","Mon","Tue","Wed","Thu","Fri","Sat"];
+let schedules=[], editingSchedule=null;
+
+function minToHHMM(m){ return `${pad2(Math.floor(m/60)%24)}:${pad2(m%60)}`; }
+function hhmmToMin(v){ const [h,m]=String(v).split(":").map(Number); return h*60+(m||0); }
+function scheduleDaysLabel(days){
+  const set=[...days].sort((a,b)=>SCHEDULE_DAYS.indexOf(a)-SCHEDULE_DAYS.indexOf(b));
+  const k=set.join(",");
+  if(k==="1,2,3,4,5") return "Mon–Fri";
+  if(k==="6,0") return "Weekends";
+  if(set.length===7) return "Every day";
+  return set.map(d=>DAY_NAMES[d]).join(" ");
+}
+
+async function loadSchedules() {
+  const list=document.getElementById("scheduleList"); if(!list) return;
+  const key=getSchedulesKey();
+  try{
+    const r=await apiFetch(`${API}/block-schedules`,{headers:hdrs()});
+    if(r.ok){ const data=await r.json(); if(Array.isArray(data)){ schedules=data; chrome.storage.local.set({[key]:data},()=>void chrome.runtime.lastError); } }
+    else throw new Error(`Error ${r.status}`);
+  } catch {
+    const d=await chrome.storage.local.get([key]); schedules=d[key]||[];
+  }
+  renderSchedules();
+}
+
+async function renderSchedules() {
+  const list=document.getElementById("scheduleList"); if(!list) return;
+  const { activeScheduleIds=[] }=await chrome.storage.local.get(["activeScheduleIds"]);
+  list.innerHTML="";
+  if(!schedules.length){ list.innerHTML=`<li class="schedule-empty">No schedules — block sites automatically at set times</li>`; return; }
+  schedules.forEach(s=>{
+    const li=document.createElement("li"); li.className="schedule-row"+(s.enabled===false?" disabled":"");
+    const when=`${scheduleDaysLabel(s.days)} · ${s.windows.map(w=>`${minToHHMM(w.start)}–${minToHHMM(w.end)}`).join(", ")}`;
+    const target=s.useBlockList?"Blocked sites list":`${s.sites.length} site${s.sites.length===1?"":"s"}`;
+    li.innerHTML=`<div class="schedule-info"><span class="schedule-name"></span><span class="schedule-when">${when} · ${target}</span></div>${activeScheduleIds.includes(s.id)?`<span class="schedule-live">Blocking now</span>`:""}`;
+    li.querySelector(".schedule-name").textContent=s.name||"Untitled";
+    li.addEventListener("click",()=>openScheduleEditor(s));
+    list.appendChild(li);
+  });
+}
+
+function openScheduleEditor(s) {
+  editingSchedule=s?{...s,windows:s.windows.map(w=>({...w}))}
+    :{ id:crypto.randomUUID(), name:"", days:[1,2,3,4,5], windows:[{start:540,end:720}], useBlockList:true, sites:[], enabled:true, isNew:true };
+  const e=editingSchedule;
+  document.getElementById("scheduleEditorTitle").textContent=e.isNew?"New Schedule":"Edit Schedule";
+  document.getElementById("scheduleNameInput").value=e.name;
+  document.querySelectorAll('input[name="scheduleTarget"]').forEach(r=>{ r.checked=(r.value==="list")===e.useBlockList; });
+  const sites=document.getElementById("scheduleSitesInput");
+  sites.value=e.sites.join(", "); sites.style.display=e.useBlockList?"none":"";
+  document.getElementById("scheduleEnabledToggle").checked=e.enabled!==false;
+  document.getElementById("deleteScheduleBtn").style.display=e.isNew?"none":"flex";
+  renderScheduleDays(); renderScheduleWindows();
+  document.getElementById("scheduleEditorModal").classList.add("open");
+}
+function closeScheduleEditor(){ document.getElementById("scheduleEditorModal").classList.remove("open"); editingSchedule=null; }
+
+function renderScheduleDays() {
+  const wrap=document.getElementById("scheduleDays"); if(!wrap) return;
+  wrap.innerHTML="";
+  SCHEDULE_DAYS.forEach(d=>{
+    const b=document.createElement("button"); b.type="button";
+    b.className="day-chip"+(editingSchedule.days.includes(d)?" on":""); b.textContent=DAY_NAMES[d];
+    b.addEventListener("click",()=>{
+      const days=editingSchedule.days;
+      editingSchedule.days=days.includes(d)?days.filter(x=>x!==d):[...days,d];
+      renderScheduleDays();
+    });
+    wrap.appendChild(b);
+  });
+}
+
+function renderScheduleWindows() {
+  const wrap=document.getElementById("scheduleWindows"); if(!wrap) return;
+  wrap.innerHTML="";
+  editingSchedule.windows.forEach((w,i)=>{
+    const row=document.createElement("div"); row.className="window-row";
+    row.innerHTML=`<input type="time" value="${minToHHMM(w.start)}"/><span>to</span><input type="time" value="${minToHHMM(w.end)}"/><button type="button" title="Remove">×</button>`;
+    const [a,b]=row.querySelectorAll("input");
+    a.addEventListener("change",()=>{ w.start=hhmmToMin(a.value); });
+    b.addEventListener("change",()=>{ w.end=hhmmToMin(b.value); });
+    row.querySelector("button").addEventListener("click",()=>{
+      if(editingSchedule.windows.length===1){ toast("A schedule needs at least one window","err"); return; }
+      editingSchedule.windows.splice(i,1); renderScheduleWindows();
+    });
+    wrap.appendChild(row);
+  });
+}
+
+async function saveSchedule() {
+  const e=editingSchedule; if(!e) return;
+  e.name=document.getElementById("scheduleNameInput").value.trim();
+  e.useBlockList=document.querySelector('input[name="scheduleTarget"]:checked')?.value!=="sites";
+  e.sites=e.useBlockList?[]:document.getElementById("scheduleSitesInput").value.split(/[\s,]+/).filter(Boolean).map(normSite);
+  e.enabled=document.getElementById("scheduleEnabledToggle").checked;
+  if(!e.days.length){ toast("Pick at least one day","err"); return; }
+  if(e.windows.some(w=>w.start===w.end)){ toast("A window can't start and end at the same time","err"); return; }
+  if(!e.useBlockList&&(!e.sites.length||e.sites.some(x=>!x.includes(".")))){ toast("Enter valid sites, separated by commas","err"); return; }
+  const { isNew, ...body }=e;
+  try{
+    const r=await apiFetch(`${API}/block-schedules`,{method:"POST",headers:hdrs(),body:JSON.stringify(body)});
+    if(!r.ok){ const err=await r.json().catch(()=>{}); throw new Error(err?.error||`Error ${r.status}`); }
+    schedules=isNew?[...schedules,body]:schedules.map(x=>x.id===body.id?body:x);
+    await chrome.storage.local.set({[getSchedulesKey()]:schedules});
+    chrome.runtime.sendMessage({type:"SCHEDULES_UPDATED"},()=>{ void chrome.runtime.lastError; renderSchedules(); });
+    toast("Schedule saved ✓"); closeScheduleEditor(); renderSchedules();
+  } catch(err){ toast(`Failed to save: ${err.message}`,"err"); }
+}
+
+async function deleteSchedule() {
+  const e=editingSchedule; if(!e||e.isNew) return;
+  if(!confirm(`Delete "${e.name||"Untitled"}"?`)) return;
+  try{
+    const r=await apiFetch(`${API}/block-schedules/${encodeURIComponent(e.id)}`,{method:"DELETE",headers:hdrs()});
+    if(!r.ok&&r.status!==404) throw new Error(`Server error ${r.status}`);
+    schedules=schedules.filter(x=>x.id!==e.id);
+    await chrome.storage.local.set({[getSchedulesKey()]:schedules});
+    chrome.runtime.sendMessage({type:"SCHEDULES_UPDATED"},()=>{ void chrome.runtime.lastError; renderSchedules(); });
+    toast("Schedule deleted"); closeScheduleEditor(); renderSchedules();
+  } catch(err){ toast(`Failed to delete: ${err.message}`,"err"); }
+}
+
+/* ─── DAILY BUDGETS (saved to /budgets; background.js warns and blocks) ─── */
+let budgets=[], budgetUsage={cat:{},site:{}};
+
+async function loadBudgets() {
+  const key=getBudgetsKey();
+  try{
+    const r=await apiFetch(`${API}/budgets`,{headers:hdrs()});
+    if(!r.ok) throw new Error(`Error ${r.status}`);
+    const data=await r.json();
+    if(Array.isArray(data)){ budgets=data; chrome.storage.local.set({[key]:data},()=>void chrome.runtime.lastError); }
+  } catch {
+    const d=await chrome.storage.local.get([key]); budgets=d[key]||[];
+  }
+  renderBudgets();
+}
+
+function budgetUsed(b){
+  if(b.kind==="category") return budgetUsage.cat[b.target]||0;
+  let ms=0;
+  for(const site in budgetUsage.site) if(site===b.target||site.endsWith("."+b.target)) ms+=budgetUsage.site[site];
+  return ms;
+}
+
+function budgetBar(b, color){
+  const used=budgetUsed(b), limit=b.minutes*60000, pct=Math.min(100,Math.round(used/limit*100));
+  const cls=used>=limit?" over":b.warnAt>0&&pct>=b.warnAt?" warn":"";
+  return `<div class="budget-bar"><div class="budget-fill${cls}" style="width:${pct}%;${color?`--bar-color:${color}`:""}"></div></div>`;
+}
+
+// Today's usage comes from renderFromStorage(); called without arguments it re-renders with the last one
+function renderBudgets(todayCat, todaySite) {
+  if(todayCat) budgetUsage={cat:todayCat,site:todaySite||{}};
+  document.querySelectorAll("#statsGrid .stat-card[data-cat-id]").forEach(card=>{
+    const b=budgets.find(x=>x.kind==="category"&&x.target===card.dataset.catId);
+    card.querySelector(".budget-bar")?.remove();
+    if(!b){ card.title=`Click to manage "${card.querySelector(".stat-label")?.textContent}" sites`; return; }
+    card.insertAdjacentHTML("beforeend",budgetBar(b));
+    card.title=`${fmt(budgetUsed(b))} of ${b.minutes}m budget used today — click to manage`;
+  });
+  const list=document.getElementById("budgetList"); if(!list) return;
+  list.innerHTML="";
+  if(!budgets.length){ list.innerHTML=`<li class="schedule-empty">No budgets — give a site a daily allowance instead of blocking it</li>`; return; }
+  budgets.forEach(b=>{
+    const cat=b.kind==="category"?userCategories.find(c=>c.id===b.target):null;
+    const li=document.createElement("li"); li.className="budget-row";
+    li.innerHTML=`<div class="budget-info"><div class="budget-head"><span class="budget-name"></span><span class="budget-used">${fmt(budgetUsed(b))} / ${fmtMin(b.minutes)}</span></div>${budgetBar(b,cat?.color)}</div><button class="blocked-del-btn" title="Remove budget">✕</button>`;
+    li.querySelector(".budget-name").textContent=cat?`${cat.emoji} ${cat.name}`:b.target;
+    li.querySelector("button").addEventListener("click",()=>deleteBudget(b));
+    list.appendChild(li);
+  });
+}
+
+async function saveBudget(budget) {
+  const r=await apiFetch(`${API}/budgets`,{method:"POST",headers:hdrs(),body:JSON.stringify(budget)});
+  if(!r.ok){ const e=await r.json().catch(()=>{}); throw new Error(e?.error||`Error ${r.status}`); }
+  budgets=[...budgets.filter(b=>!(b.kind===budget.kind&&b.target===budget.target)),budget];
+  await budgetsChanged();
+}
+
+async function deleteBudget(budget, quiet) {
+  try{
+    const r=await apiFetch(`${API}/budgets/${budget.kind}/${encodeURIComponent(budget.target)}`,{method:"DELETE",headers:hdrs()});
+    if(!r.ok&&r.status!==404) throw new Error(`Server error ${r.status}`);
+    budgets=budgets.filter(b=>!(b.kind===budget.kind&&b.target===budget.target));
+    await budgetsChanged();
+    if(!quiet) toast("Budget removed");
+  } catch(err){ toast(`Failed to remove: ${err.message}`,"err"); }
+}
+
+async function budgetsChanged() {
+  await chrome.storage.local.set({[getBudgetsKey()]:budgets});
+  chrome.runtime.sendMessage({type:"BUDGETS_UPDATED"},()=>void chrome.runtime.lastError);
+  renderBudgets();
+}
+
+async function addSiteBudget() {
+  const inp=document.getElementById("budgetSiteInput"), minInp=document.getElementById("budgetMinutesInput");
+  const site=normSite(inp?.value||""), minutes=parseInt(minInp?.value,10);
+  if(!site||!site.includes(".")){ toast("Enter a valid domain","err"); return; }
+  if(!(minutes>=1&&minutes<=1440)){ toast("Enter 1–1440 minutes per day","err"); return; }
+  const warnAt=parseInt(document.getElementById("budgetWarnSelect")?.value,10)||0;
+  try{
+    await saveBudget({kind:"domain",target:site,minutes,warnAt});
+    inp.value=""; minInp.value="";
+    toast(`${site}: ${fmtMin(minutes)} a day ✓`);
+  } catch(err){ toast(`Failed to save: ${err.message}`,"err"); }
+}
+
+/* ─── DAILY GOALS (saved to /goals; background.js notifies when one is met or a cap is
+   exceeded). Today's usage is budgetUsage.cat, filled by renderBudgets() ─── */
+let goals=[], newGoalDays=[0,1,2,3,4,5,6];
+
+async function loadGoals() {
+  const key=getGoalsKey();
+  try{
+    const r=await apiFetch(`${API}/goals`,{headers:hdrs()});
+    if(!r.ok) throw new Error(`Error ${r.status}`);
+    const data=await r.json();
+    if(Array.isArray(data)){ goals=data; chrome.storage.local.set({[key]:data},()=>void chrome.runtime.lastError); }
+  } catch {
+    const d=await chrome.storage.local.get([key]); goals=d[key]||[];
+  }
+  renderGoalDays();
+  renderGoalCatOptions();
+  renderGoals();
+}
+
+function todayWeekday(){ const [y,m,d]=getTodayKey().split("-").map(Number); return new Date(y,m-1,d).getDay(); }
+
+function goalText(g){
+  const cat=userCategories.find(c=>c.id===g.category);
+  return `${g.type==="min"?"At least":"Under"} ${fmtMin(g.minutes)} ${cat?cat.name:g.category}`;
+}
+
+// Progress ring: fills toward the goal; caps turn amber near the limit and red past it
+function goalRing(g){
+  const used=budgetUsage.cat[g.category]||0, limit=g.minutes*60000, pct=used/limit;
+  const cls=g.type==="min"?(pct>=1?" met":""):(pct>1?" over":pct>=.8?" warn":"");
+  const cat=userCategories.find(c=>c.id===g.category);
+  const r=15, len=2*Math.PI*r;
+  const t=document.createElement("template");
+  t.innerHTML=`<svg class="goal-ring${cls}" viewBox="0 0 36 36"><title></title>`+
+    `<circle class="goal-ring-track" cx="18" cy="18" r="${r}"/>`+
+    `<circle class="goal-ring-fill" cx="18" cy="18" r="${r}" stroke-dasharray="${len.toFixed(1)}" stroke-dashoffset="${(len*(1-Math.min(1,pct))).toFixed(1)}"/>`+
+    `<text x="18" y="21">${Math.round(pct*100)}%</text></svg>`;
+  const svg=t.content.firstChild;
+  if(cat) svg.style.setProperty("--ring-color",cat.color);
+  svg.querySelector("title").textContent=`${goalText(g)} — ${fmt(used)} so far today`;
+  return svg;
+}
+
+function renderGoals() {
+  const wd=todayWeekday(), today=goals.filter(g=>g.days.includes(wd));
+  document.querySelectorAll("#statsGrid .stat-card[data-cat-id]").forEach(card=>{
+    card.querySelectorAll(".goal-ring").forEach(r=>r.remove());
+    today.filter(g=>g.category===card.dataset.catId).forEach(g=>card.insertBefore(goalRing(g),card.querySelector(".stat-edit-hint")));
+  });
+  const list=document.getElementById("goalList"); if(!list) return;
+  list.innerHTML="";
+  if(!goals.length){ list.innerHTML=`<li class="schedule-empty">No goals — say how much time a category should (or shouldn't) get each day</li>`; return; }
+  goals.forEach(g=>{
+    const on=g.days.includes(wd);
+    const li=document.createElement("li"); li.className="budget-row goal-row"+(on?"":" off");
+    li.innerHTML=`<div class="budget-info"><div class="budget-head"><span class="budget-name"></span><span class="budget-used">${on?`${fmt(budgetUsage.cat[g.category]||0)} / ${fmtMin(g.minutes)}`:"not today"}</span></div><span class="goal-when">${scheduleDaysLabel(g.days)}</span></div><button class="blocked-del-btn" title="Remove goal">✕</button>`;
+    li.querySelector(".budget-name").textContent=goalText(g);
+    if(on) li.prepend(goalRing(g));
+    li.querySelector("button").addEventListener("click",()=>deleteGoal(g));
+    list.appendChild(li);
+  });
+}
+
+function renderGoalCatOptions() {
+  const sel=document.getElementById("goalCatSelect"); if(!sel) return;
+  const v=sel.value;
+  sel.innerHTML="";
+  userCategories.forEach(c=>sel.appendChild(new Option(`${c.emoji} ${c.name}`,c.id)));
+  if(v) sel.value=v;
+}
+
+function renderGoalDays() {
+  const wrap=document.getElementById("goalDays"); if(!wrap) return;
+  wrap.innerHTML="";
+  SCHEDULE_DAYS.forEach(d=>{
+    const b=document.createElement("button"); b.type="button";
+    b.className="day-chip"+(newGoalDays.includes(d)?" on":""); b.textContent=DAY_NAMES[d];
+    b.addEventListener("click",()=>{ newGoalDays=newGoalDays.includes(d)?newGoalDays.filter(x=>x!==d):[...newGoalDays,d]; renderGoalDays(); });
+    wrap.appendChild(b);
+  });
+}
+
+async function addGoal() {
+  const type=document.getElementById("goalTypeSelect")?.value, minInp=document.getElementById("goalMinutesInput");
+  const category=document.getElementById("goalCatSelect")?.value, minutes=parseInt(minInp?.value,10);
+  if(!category){ toast("Pick a category","err"); return; }
+  if(!(minutes>=1&&minutes<=1440)){ toast("Enter 1–1440 minutes per day","err"); return; }
+  if(!newGoalDays.length){ toast("Pick at least one day","err"); return; }
+  const goal={id:crypto.randomUUID(),category,type,minutes,days:[...newGoalDays].sort((a,b)=>a-b)};
+  try{
+    const r=await apiFetch(`${API}/goals`,{method:"POST",headers:hdrs(),body:JSON.stringify(goal)});
+    if(!r.ok){ const e=await r.json().catch(()=>{}); throw new Error(e?.error||`Error ${r.status}`); }
+    goals=[...goals,goal];
+    await goalsChanged();
+    minInp.value="";
+    toast(`${goalText(goal)} ✓`);
+  } catch(err){ toast(`Failed to save: ${err.message}`,"err"); }
+}
+
+async function deleteGoal(goal) {
+  try{
+    const r=await apiFetch(`${API}/goals/${encodeURIComponent(goal.id)}`,{method:"DELETE",headers:hdrs()});
+    if(!r.ok&&r.status!==404) throw new Error(`Server error ${r.status}`);
+    goals=goals.filter(g=>g.id!==goal.id);
+    await goalsChanged();
+    toast("Goal removed");
+  } catch(err){ toast(`Failed to remove: ${err.message}`,"err"); }
+}
+
+async function goalsChanged() {
+  await chrome.storage.local.set({[getGoalsKey()]:goals});
+  chrome.runtime.sendMessage({type:"GOALS_UPDATED"},()=>void chrome.runtime.lastError);
+  renderGoals();
+}
+
+/* ─── BLOCKED ATTEMPTS (counted by background.js when blocked.html opens; this
+   device's counts + other devices' from remoteBlockAttempts_, like time data) ─── */
+const ATTEMPT_TREND_DAYS=14;
+
+async function renderAttempts() {
+  const k=getAttemptsKey(), rk=getRemoteAttemptsKey();
+  const d=await chrome.storage.local.get([k,rk]);
+  const byDay={};
+  [d[k],d[rk]].forEach(src=>{ for(const day in src||{}) for(const site in src[day]){ const t=byDay[day]=byDay[day]||{}; t[site]=(t[site]||0)+src[day][site]; } });
+  const sum=a=>a.reduce((x,y)=>x+y,0);
+  const days=Array.from({length:ATTEMPT_TREND_DAYS},(_,i)=>getDateKey(ATTEMPT_TREND_DAYS-1-i));
+  const counts=days.map(day=>sum(Object.values(byDay[day]||{}))), max=Math.max(1,...counts);
+
+  const badge=document.getElementById("attemptsToday");
+  if(badge){ const n=counts[counts.length-1]; badge.style.display=n?"":"none"; badge.textContent=`${n} today`; }
+  const trend=document.getElementById("attemptTrend");
+  if(trend) trend.innerHTML=days.map((day,i)=>`<div class="attempt-bar${counts[i]?"":" zero"}${i===days.length-1?" today":""}" style="height:${Math.round(counts[i]/max*100)}%" title="${day}: ${counts[i]}"></div>`).join("");
+
+  // Last 7 days against the 7 before, overall and per site
+  const week=days.slice(7), prevWeek=days.slice(0,7);
+  const thisN=sum(counts.slice(7)), prevN=sum(counts.slice(0,7));
+  const summary=document.getElementById("attemptSummary");
+  if(summary){
+    const pct=prevN?Math.round((thisN-prevN)/prevN*100):null;
+    summary.textContent=!thisN&&!prevN?"No blocked sites opened in the last two weeks"
+      :`${thisN} in the last 7 days`+(pct===null?"":pct===0?" — same as the week before":` — ${pct>0?"▲":"▼"} ${Math.abs(pct)}% vs the week before`);
+  }
+  const perSite=ds=>{ const o={}; ds.forEach(day=>{ for(const site in byDay[day]||{}) o[site]=(o[site]||0)+byDay[day][site]; }); return o; };
+  const cur=perSite(week), prev=perSite(prevWeek);
+  const list=document.getElementById("attemptSites"); if(!list) return;
+  list.innerHTML="";
+  Object.entries(cur).sort((a,b)=>b[1]-a[1]).slice(0,6).forEach(([site,n])=>{
+    const diff=n-(prev[site]||0);
+    const li=document.createElement("li");
+    li.innerHTML=`<span class="site-name"></span><span class="site-bar-wrap"><span class="site-bar" style="display:block;width:${Math.round(n/thisN*100)}%"></span></span><span class="site-time">${n}×</span><span class="attempt-delta ${diff>0?"up":diff<0?"down":""}">${diff>0?"+"+diff:diff<0?diff:"="}</span>`;
+    li.querySelector(".site-name").textContent=site.startsWith("keyword:")?`“${site.slice(8)}”`:site;
+    li.title=`${n} this week, ${prev[site]||0} the week before`;
+    list.appendChild(li);
+  });
+}
+
+/* ─── FOCUS SESSIONS (recorded by background.js; /focus-sessions has every device's,
+   this device's own history fills in whatever hasn't been uploaded yet) ─── */
+async function renderFocusSessions() {
+  const days=Array.from({length:ATTEMPT_TREND_DAYS},(_,i)=>getDateKey(ATTEMPT_TREND_DAYS-1-i));
+  const byId=new Map();
+  const stored=await chrome.storage.local.get([getFocusHistoryKey(),"focusSession"]);
+  (stored[getFocusHistoryKey()]||[]).forEach(x=>byId.set(x.sessionId,x));
+  try{
+    const r=await apiFetch(`${API}/focus-sessions?startDate=${days[0]}&endDate=${days[days.length-1]}`,{headers:hdrs()});
+    if(r.ok) (await r.json()).forEach(x=>byId.set(x.sessionId,x));
+  }catch{}
+  const ms=t=>new Date(t).getTime();
+  const sessions=[...byId.values()].filter(x=>x.date>=days[0]).map(x=>({...x,length:Math.max(0,ms(x.endedAt)-ms(x.startedAt))}));
+  const perDay=days.map(day=>sessions.filter(x=>x.date===day).reduce((t,x)=>t+x.length,0)), max=Math.max(1,...perDay);
+
+  const badge=document.getElementById("sessionsToday");
+  if(badge){ const n=perDay[perDay.length-1]; badge.style.display=n?"":"none"; badge.textContent=`${fmtMin(n/60000)} today`; }
+  const trend=document.getElementById("sessionTrend");
+  if(trend) trend.innerHTML=days.map((day,i)=>`<div class="attempt-bar${perDay[i]?"":" zero"}${i===days.length-1?" today":""}" style="height:${Math.round(perDay[i]/max*100)}%" title="${day}: ${fmt(perDay[i])}"></div>`).join("");
+
+  const done=sessions.filter(x=>x.outcome==="completed").length;
+  const longest=sessions.reduce((a,x)=>x.length>a.length?x:a,{length:0});
+  const set=(id,v)=>{ const el=document.getElementById(id); if(el) el.textContent=v; };
+  set("sessionFocused",sessions.length?fmtMin(perDay.reduce((a,b)=>a+b,0)/60000):"—");
+  set("sessionCompletion",sessions.length?`${Math.round(done/sessions.length*100)}%`:"—");
+  set("sessionLongest",longest.length?fmtMin(longest.length/60000):"—");
+  const attempts=sessions.reduce((t,x)=>t+(x.blockedAttempts||0),0);
+  set("sessionSummary",!sessions.length?"No focus sessions in the last two weeks"
+    :`${sessions.length} session${sessions.length===1?"":"s"} — ${done} completed, ${sessions.length-done} stopped early · ${attempts} blocked attempt${attempts===1?"":"s"} during focus`);
+
+  // Time per task: what was tracked during its sessions (the running one included), and on which domains
+  const tasks={};
+  [...sessions,...(stored.focusSession?[stored.focusSession]:[])].filter(x=>x.task).forEach(x=>{
+    const t=tasks[x.task]=tasks[x.task]||{ms:0,sessions:0,domains:{}};
+    t.sessions++;
+    for(const d in x.domains||{}){ t.ms+=x.domains[d]; t.domains[d]=(t.domains[d]||0)+x.domains[d]; }
+  });
+  const rows=Object.entries(tasks).sort((a,b)=>b[1].ms-a[1].ms).slice(0,8), top=Math.max(1,...rows.map(([,t])=>t.ms));
+  const title=document.getElementById("sessionTasksTitle"); if(title) title.style.display=rows.length?"":"none";
+  const list=document.getElementById("sessionTasks"); if(!list) return;
+  list.innerHTML="";
+  rows.forEach(([task,t])=>{
+    const li=document.createElement("li");
+    li.innerHTML=`<span class="site-name"><span class="task-name"></span><span class="task-domains"></span></span><span class="site-bar-wrap"><span class="site-bar" style="display:block;width:${Math.round(t.ms/top*100)}%"></span></span><span class="site-time">${fmt(t.ms)}</span>`;
+    li.querySelector(".task-name").textContent=task;
+    const doms=Object.entries(t.domains).sort((a,b)=>b[1]-a[1]);
+    li.querySelector(".task-domains").textContent=doms.slice(0,3).map(([d,ms])=>`${siteLabel(d)} ${fmtMin(ms/60000)}`).join(" · ")||"nothing tracked";
+    li.title=`${t.sessions} session${t.sessions===1?"":"s"}\n`+doms.map(([d,ms])=>`${siteLabel(d)}: ${fmt(ms)}`).join("\n");
+    list.appendChild(li);
+  });
+}
+
 /* ─── FOCUS ─── */
-function updateFocusUI(on,locked){
-  document.getElementById("statusDot")?.classList.toggle("on",on);
+const POMO_PHASES={work:"work",short:"short break",long:"long break"};
+function updateFocusUI(on,locked,allowlist,pomodoro){
+  const running=on||!!pomodoro;
+  document.getElementById("statusDot")?.classList.toggle("on",running);
   const lbl=document.getElementById("focusLabel");
-  if(lbl) lbl.textContent=locked?"Hard Focus — Locked":on?"On":"Off";
+  const state=pomodoro?`Round ${pomodoro.label} · ${pomodoro.waiting?"next: ":""}${POMO_PHASES[pomodoro.phase]}`:locked?"Hard Focus — Locked":on?"On":"Off";
+  if(lbl) lbl.textContent=state+(on&&allowlist?" · allowlist only":"");
   const s=document.getElementById("startFocus"),h=document.getElementById("hardFocus"),x=document.getElementById("stopFocus");
-  if(s) s.disabled=on; if(h) h.disabled=on; if(x) x.disabled=!on||locked;
+  if(s) s.disabled=running; if(h) h.disabled=running; if(x) x.disabled=!running||locked;
+  const t=document.getElementById("focusAllowlistToggle"); if(t) t.disabled=running;
+  // A locked allowlist session can't be loosened from here
+  const a=document.getElementById("addAllowSite"); if(a) a.disabled=!!(locked&&allowlist);
 }
 
 function reloadCurrentIfBlocked(){
@@ -736,19 +1752,22 @@ function reloadCurrentIfBlocked(){
 }
 
 function initFocusControls(){
+  const allowOnly=()=>!!document.getElementById("focusAllowlistToggle")?.checked;
+  chrome.storage.local.get(["focusUseAllowlist"],d=>{ const t=document.getElementById("focusAllowlistToggle"); if(t) t.checked=!!d.focusUseAllowlist; });
+  document.getElementById("focusAllowlistToggle")?.addEventListener("change",e=>chrome.storage.local.set({focusUseAllowlist:e.target.checked}));
   document.getElementById("startFocus")?.addEventListener("click",()=>{
-    chrome.runtime.sendMessage({type:"FOCUS_ON",duration:25,hard:false},res=>{
+    chrome.runtime.sendMessage({type:"FOCUS_ON",hard:false,pomodoro:true,allowlist:allowOnly()},res=>{
       void chrome.runtime.lastError;
-      if(res?.success){toast("Focus on — 25 min");updateFocusUI(true,false);reloadCurrentIfBlocked();}
+      if(res?.success){toast(`Pomodoro on — ${pomodoroPrefs?.workMin||25} min round`);refreshFocusUI();if(!allowOnly())reloadCurrentIfBlocked();}
       else toast(res?.error||"Could not start","err");
     });
   });
   document.getElementById("hardFocus")?.addEventListener("click",()=>{
     const m=parseInt(prompt("Hard Focus duration (min, min 5):","25"),10);
     if(!m||m<5){toast("Min 5 minutes","err");return;}
-    chrome.runtime.sendMessage({type:"FOCUS_ON",duration:m,hard:true},res=>{
+    chrome.runtime.sendMessage({type:"FOCUS_ON",duration:m,hard:true,allowlist:allowOnly()},res=>{
       void chrome.runtime.lastError;
-      if(res?.success){toast(`Hard focus — ${m} min, locked`);updateFocusUI(true,true);reloadCurrentIfBlocked();}
+      if(res?.success){toast(`Hard focus — ${m} min, locked`);updateFocusUI(true,true,allowOnly());if(!allowOnly())reloadCurrentIfBlocked();}
       else toast(res?.error||"Could not start","err");
     });
   });
@@ -759,7 +1778,10 @@ function initFocusControls(){
       else toast(res?.error||"Could not stop","err");
     });
   });
-  chrome.runtime.sendMessage({type:"GET_FOCUS_STATUS"},res=>{void chrome.runtime.lastError;if(res)updateFocusUI(res.status,res.locked);});
+  refreshFocusUI();
+}
+function refreshFocusUI(){
+  chrome.runtime.sendMessage({type:"GET_FOCUS_STATUS"},res=>{void chrome.runtime.lastError;if(res)updateFocusUI(res.status,res.locked,res.allowlist,res.pomodoro);});
 }
 
 /* ─── REFLECTION ─── */
@@ -797,10 +1819,8 @@ async function saveReflection(){
 
 /* ─── WEEKLY ─── */
 async function loadWeeklySummary(){
-  const today=new Date(),wago=new Date(today);
-  wago.setDate(wago.getDate()-7);
   try{
-    const r=await apiFetch(`${API}/reflections?startDate=${wago.toISOString().split("T")[0]}&endDate=${today.toISOString().split("T")[0]}`,{headers:hdrs()});
+    const r=await apiFetch(`${API}/reflections?startDate=${getDateKey(7)}&endDate=${getTodayKey()}`,{headers:hdrs()});
     allWeeklyData=r.ok?await r.json():[];
     renderWeekly();
   }catch{const el=document.getElementById("weeklySummary");if(el)el.innerHTML=`<p class="empty-text">Could not load</p>`;}
@@ -842,7 +1862,7 @@ function dl(content,name,type){
 }
 
 /* ─── MODALS ─── */
-function openSettings(){renderSettingsCatList();document.getElementById("settingsModal").classList.add("open");}
+function openSettings(){renderSettingsCatList();loadTrackingSettings();loadPomodoroSettings();loadPrivacySettings();loadStorageSettings();document.getElementById("settingsModal").classList.add("open");}
 function closeSettings(){document.getElementById("settingsModal").classList.remove("open");}
 
 /* ─── TOAST ─── */
@@ -867,6 +1887,30 @@ function initEventListeners(){
   document.getElementById("closeSettings")?.addEventListener("click",closeSettings);
   document.getElementById("settingsModal")?.addEventListener("click",e=>{if(e.target===document.getElementById("settingsModal"))closeSettings();});
   document.getElementById("saveSettingsBtn")?.addEventListener("click",saveSettings);
+  document.querySelectorAll("[data-pomo]").forEach(i=>i.addEventListener("change",()=>savePomodoroSetting(i.dataset.pomo,Number(i.value))));
+  document.getElementById("pomoAutoToggle")?.addEventListener("change",e=>savePomodoroSetting("autoAdvance",e.target.checked));
+  document.getElementById("idleThresholdSelect")?.addEventListener("change",e=>saveTrackingSetting("idleThresholdSec",parseInt(e.target.value,10)));
+  document.getElementById("recordIdleGapsToggle")?.addEventListener("change",e=>saveTrackingSetting("recordIdleGaps",e.target.checked));
+  document.getElementById("dayStartSelect")?.addEventListener("change",e=>saveDayStartHour(e.target.value));
+  document.getElementById("unlockDelaySelect")?.addEventListener("change",e=>saveTrackingSetting("unlockDelaySec",parseInt(e.target.value,10)));
+  document.getElementById("addNeverTrackBtn")?.addEventListener("click",addNeverTrack);
+  document.getElementById("neverTrackInput")?.addEventListener("keypress",e=>{if(e.key==="Enter")addNeverTrack();});
+  document.getElementById("privateBucketToggle")?.addEventListener("change",e=>saveTrackingSetting("privateBucket",e.target.checked));
+  document.getElementById("incognitoPolicySelect")?.addEventListener("change",e=>saveTrackingSetting("incognitoPolicy",e.target.value));
+  document.getElementById("addScheduleBtn")?.addEventListener("click",()=>openScheduleEditor(null));
+  document.getElementById("addBudgetBtn")?.addEventListener("click",addSiteBudget);
+  document.getElementById("addGoalBtn")?.addEventListener("click",addGoal);
+  document.getElementById("goalMinutesInput")?.addEventListener("keydown",e=>{ if(e.key==="Enter") addGoal(); });
+  document.getElementById("budgetMinutesInput")?.addEventListener("keydown",e=>{ if(e.key==="Enter") addSiteBudget(); });
+  document.getElementById("closeScheduleEditor")?.addEventListener("click",closeScheduleEditor);
+  document.getElementById("cancelScheduleEditor")?.addEventListener("click",closeScheduleEditor);
+  document.getElementById("saveScheduleBtn")?.addEventListener("click",saveSchedule);
+  document.getElementById("deleteScheduleBtn")?.addEventListener("click",deleteSchedule);
+  document.getElementById("addWindowBtn")?.addEventListener("click",()=>{ editingSchedule.windows.push({start:840,end:1020}); renderScheduleWindows(); });
+  document.querySelectorAll('input[name="scheduleTarget"]').forEach(r=>r.addEventListener("change",()=>{
+    document.getElementById("scheduleSitesInput").style.display=r.value==="sites"&&r.checked?"":"none";
+  }));
+  document.getElementById("retentionSelect")?.addEventListener("change",e=>saveRetentionDays(e.target.value));
   document.getElementById("logoutBtn")?.addEventListener("click",logout);
   document.getElementById("themeSelect")?.addEventListener("change",e=>applyTheme(e.target.value,currentAccent));
   document.querySelectorAll(".swatch").forEach(b=>b.addEventListener("click",()=>applyTheme(currentTheme,b.dataset.color)));
@@ -896,28 +1940,43 @@ function initEventListeners(){
     }
   });
   document.getElementById("addBlockSite")?.addEventListener("click",addBlockedSite);
+  document.getElementById("blockRuleType")?.addEventListener("change",e=>{
+    const inp=document.getElementById("blockSiteInput"); if(inp) inp.placeholder=BLOCK_RULE_HINTS[e.target.value]||"";
+  });
+  document.getElementById("addAllowSite")?.addEventListener("click",addAllowedSite);
+  document.getElementById("allowSiteInput")?.addEventListener("keypress",e=>{if(e.key==="Enter"&&!document.getElementById("addAllowSite")?.disabled)addAllowedSite();});
   document.getElementById("blockSiteInput")?.addEventListener("keypress",e=>{if(e.key==="Enter")addBlockedSite();});
   document.getElementById("saveReflection")?.addEventListener("click",saveReflection);
   document.getElementById("rangeSelect")?.addEventListener("change",()=>{_lastChartRender=0;renderFromStorage();});
+  document.getElementById("heatmapCatSelect")?.addEventListener("change",renderHeatmap);
+  document.getElementById("heatmapRangeSelect")?.addEventListener("change",renderHeatmap);
   document.getElementById("showAllBtn")?.addEventListener("click",()=>{showingAll=!showingAll;renderWeekly();});
   document.getElementById("exportJsonBtn")?.addEventListener("click",()=>{
-    const key=getTimeDataKey();
-    chrome.storage.local.get([key],res=>dl(JSON.stringify(res[key]||{},null,2),`focus-${getTodayKey()}.json`,"application/json"));
+    Promise.all([loadTimeRange(),getTimeAggregates(getUserId())])
+      .then(([days,aggregates])=>dl(JSON.stringify({days,aggregates},null,2),`focus-${getTodayKey()}.json`,"application/json"))
+      .catch(e=>toast("Export failed: "+e.message,"err"));
   });
   document.getElementById("exportCsvBtn")?.addEventListener("click",()=>{
-    const key=getTimeDataKey();
-    chrome.storage.local.get([key],res=>{
-      const d=res[key]||{};let csv="Date,Website,Category,Time(ms),Time(min)\n";
+    Promise.all([loadTimeRange(),getTimeAggregates(getUserId())]).then(([d,aggregates])=>{
+      let csv="Date,Website,Category,Time(ms),Time(min)\n";
+      // Compacted history: one row per category for each week / month
+      aggregates.forEach(a=>{
+        for(const cat in a.categories) csv+=`${a.period} of ${a.start},(all sites),${cat},${a.categories[cat]},${(a.categories[cat]/60000).toFixed(1)}\n`;
+      });
       for(const date in d)for(const site in d[date]){
         const e=d[date][site],ms=typeof e==="number"?e:(e.time||0),cat=typeof e==="object"?(e.category||"Other"):"Other";
         csv+=`${date},${site},${cat},${ms},${(ms/60000).toFixed(1)}\n`;
       }
       dl(csv,`focus-${getTodayKey()}.csv`,"text/csv");
-    });
+    }).catch(e=>toast("Export failed: "+e.message,"err"));
   });
   chrome.storage.onChanged.addListener((changes,area)=>{
-    if(area==="local"&&(changes.focusMode||changes.focusLockUntil)){
-      chrome.runtime.sendMessage({type:"GET_FOCUS_STATUS"},res=>{void chrome.runtime.lastError;if(res)updateFocusUI(res.status,res.locked);});
+    if(area==="local"&&changes.activeScheduleIds) renderSchedules();
+    if(area==="local"&&changes.blockRulesStatus) renderBlockRulesStatus();
+    if(area==="local"&&(changes[getAttemptsKey()]||changes[getRemoteAttemptsKey()])) renderAttempts();
+    if(area==="local"&&changes[getFocusHistoryKey()]) renderFocusSessions();
+    if(area==="local"&&(changes.focusMode||changes.focusEndsAt||changes.focusAllowlist||changes.pomodoroState)){
+      refreshFocusUI();
       loadBlockedSites();
     }
   });
@@ -28,7 +28,17 @@ function getUserId(token) {
   } catch { return token.slice(0, 16); }
 }
 
-function timeDataKey(token) { return `timeData_${getUserId(token)}`; }
+/* Local day key shifted by the user's day-start hour — must match background.js */
+function getTodayKey(dayStartHour = 0) {
+  const d   = new Date(Date.now() - dayStartHour * 3600000);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function remoteTimeKey(token) { return `remoteTimeData_${getUserId(token)}`; }
+function categoryRulesKey(token) { return `categoryRules_${getUserId(token)}`; }
+
+const PRIVATE_BUCKET = "private";   // same as background.js
 
 
 function applyTheme(theme, accent) {
@@ -62,22 +72,99 @@ function updateSliderFill() {
     `linear-gradient(to right, ${accent} 0%, ${accent} ${pct}%, ${bg} ${pct}%, ${bg} 100%)`;
 }
 
+/* =========================================================
+   CATEGORY SPLIT
+   Same split as categoryTotals() in background.js: time on a
+   mapped entity, then under a path rule, goes to that rule's
+   category and the rest to the domain's. Rules come from
+   categoryRules_<userId>, written by background.js on sync.
+========================================================= */
+function pathRuleMatches(rule, domain, path) {
+  if (domain !== rule.host && !domain.endsWith("." + rule.host)) return false;
+  if (!path.startsWith(rule.prefix)) return false;
+  if (/[/?=&]$/.test(rule.prefix)) return true;
+  const next = path.charAt(rule.prefix.length);
+  return next === "" || "/?&#".includes(next);
+}
+
+// { entity(x), path(p) } → category or null, for one domain
+function ruleLookup(rules, domain) {
+  const parts = domain.replace(/^www\./, "").split(".");
+  return {
+    entity: x => {
+      for (let i = 0; i < parts.length - 1; i++) {
+        const cat = rules?.entities?.[`${parts.slice(i).join(".")}#${x}`];
+        if (cat) return cat;
+      }
+      return null;
+    },
+    path: p => (rules?.paths || []).find(r => pathRuleMatches(r, domain, p))?.category || null
+  };
+}
+
+function categoryTotals(r, base, lookup) {
+  const out = { [base]: 0 };
+  let rest  = r.time || 0;
+  const give = (cat, ms) => {
+    if (!cat || cat === base) return;
+    ms = Math.min(ms, rest);
+    out[cat] = (out[cat] || 0) + ms;
+    rest -= ms;
+  };
+  for (const x in r.entities || {}) give(lookup.entity(x), r.entities[x]);
+  for (const p in r.paths || {})    give(lookup.path(p), r.paths[p]);
+  out[base] += rest;
+  return out;
+}
+
 /* =========================================================
    QUICK STATS
+   Stored totals plus the unflushed seconds background.js
+   streams over the "live-time" port.
 ========================================================= */
+let liveDelta = null;
+
+function connectLiveStream() {
+  const port = chrome.runtime.connect({ name: "live-time" });
+  port.onMessage.addListener(msg => {
+    if (msg?.type !== "LIVE_DELTA") return;
+    liveDelta = msg;
+    loadQuickStats();
+  });
+  // The worker restarts now and then — reconnect
+  port.onDisconnect.addListener(() => { void chrome.runtime.lastError; liveDelta = null; setTimeout(connectLiveStream, 1000); });
+}
+
 async function loadQuickStats() {
   const token = await getAuthToken();
-  const key   = timeDataKey(token);
-  chrome.storage.local.get([key], res => {
-    const today    = new Date().toISOString().split("T")[0];
-    const dayData  = res[key]?.[today] || {};
+  const rKey  = remoteTimeKey(token), cKey = categoryRulesKey(token);
+  chrome.storage.local.get([rKey, cKey, "dayStartHour"], async res => {
+    const today    = getTodayKey(res.dayStartHour || 0);
     const catTime  = { Learning: 0, Distraction: 0, Development: 0, Other: 0 };
-
-    for (const site in dayData) {
-      const e    = dayData[site];
-      const t    = typeof e === "number" ? e : (e.time || 0);
-      const cat  = (typeof e === "object" && e.category) ? e.category : "Other";
-      catTime[cat] = (catTime[cat] || 0) + t;
+    const goalTime = {};   // as todayCategoryTotals() in background.js: no Private bucket
+    const local    = await getTimeRange(getUserId(token), today, today).catch(() => ({}));
+    const add      = (site, cats) => {
+      for (const c in cats) {
+        catTime[c] = (catTime[c] || 0) + cats[c];
+        if (site !== PRIVATE_BUCKET) goalTime[c] = (goalTime[c] || 0) + cats[c];
+      }
+    };
+
+    // This device's records carry paths/entities; other devices only sync per-domain totals
+    const day = local[today] || {};
+    for (const site in day) add(site, categoryTotals(day[site], day[site].category || "Other", ruleLookup(res[cKey], site)));
+    const remote = res[rKey]?.[today] || {};
+    for (const site in remote) {
+      const e = remote[site];
+      add(site, { [(typeof e === "object" && e.category) || "Other"]: typeof e === "number" ? e : (e.time || 0) });
+    }
+    if (liveDelta?.day === today) {
+      const d = liveDelta;
+      for (const site in d.time) {
+        add(site, categoryTotals({ time: d.time[site], paths: d.paths?.[site], entities: d.entities?.[site] },
+          d.categories?.[site] || "Other",
+          { entity: x => d.entityCategories?.[site]?.[x], path: p => d.pathCategories?.[site]?.[p] }));
+      }
     }
 
     const total      = Object.values(catTime).reduce((a, b) => a + b, 0);
@@ -88,13 +175,49 @@ async function loadQuickStats() {
 
     document.getElementById("totalTime").textContent        = formatTime(total);
     document.getElementById("productivityScore").textContent = score + "%";
+    renderGoalRings(token, today, goalTime);
+  });
+}
+
+/* =========================================================
+   DAILY GOALS
+   Today's goals (goals_<userId>, synced by background.js from
+   /goals) as progress rings over the same category totals.
+========================================================= */
+function renderGoalRings(token, today, catTime) {
+  const gKey = `goals_${getUserId(token)}`, lKey = `categoryLabels_${getUserId(token)}`;
+  chrome.storage.local.get([gKey, lKey], d => {
+    const wrap = document.getElementById("goalRings");
+    const [y, m, day] = today.split("-").map(Number);
+    const weekday = new Date(y, m - 1, day).getDay();
+    const goals   = (d[gKey] || []).filter(g => g.days?.includes(weekday));
+    wrap.hidden = goals.length === 0;
+    wrap.innerHTML = "";
+    goals.forEach(g => {
+      const used  = catTime[g.category] || 0;
+      const pct   = used / (g.minutes * 60000);
+      const cls   = g.type === "min" ? (pct >= 1 ? " met" : "") : (pct > 1 ? " over" : pct >= .8 ? " warn" : "");
+      const len   = 2 * Math.PI * 14;
+      const label = d[lKey]?.[g.category] || g.category;
+      const item  = document.createElement("div");
+      item.className = "goal-ring-item";
+      item.innerHTML =
+        `<svg class="goal-ring${cls}" viewBox="0 0 34 34">` +
+        `<circle class="goal-ring-track" cx="17" cy="17" r="14"/>` +
+        `<circle class="goal-ring-fill" cx="17" cy="17" r="14" stroke-dasharray="${len.toFixed(1)}" stroke-dashoffset="${(len * (1 - Math.min(1, pct))).toFixed(1)}"/>` +
+        `<text x="17" y="20">${Math.round(pct * 100)}%</text></svg>` +
+        `<span class="goal-ring-lbl"></span>`;
+      item.querySelector(".goal-ring-lbl").textContent = label;
+      item.title = `${g.type === "min" ? "At least" : "Under"} ${g.minutes} min ${label} — ${formatTime(used)} today`;
+      wrap.appendChild(item);
+    });
   });
 }
 
 /* =========================================================
    FOCUS STATE UI
 ========================================================= */
-function updateFocusUI(isOn, locked = false, remainingMs = 0) {
+function updateFocusUI(isOn, locked = false, remainingMs = 0, allowlist = false, pomodoro = null, task = "") {
   const startBtn  = document.getElementById("startFocus");
   const stopBtn   = document.getElementById("stopFocus");
   const hardBtn   = document.getElementById("hardFocus");
@@ -106,25 +229,57 @@ function updateFocusUI(isOn, locked = false, remainingMs = 0) {
   const livePill  = document.getElementById("statusIndicator");
   const liveLabel = document.getElementById("liveLabel");
   const lockBnr   = document.getElementById("lockedBanner");
-
-  startBtn.disabled = isOn;
-  hardBtn.disabled  = isOn;
-  stopBtn.disabled  = !isOn || locked;
-
-  stateBar.classList.toggle("active", isOn && !locked);
+  const nextBtn   = document.getElementById("nextPhase");
+  const taskLabel = document.getElementById("focusTaskLabel");
+  const taskInput = document.getElementById("focusTaskInput");
+  const running   = isOn || !!pomodoro;
+
+  startBtn.disabled = running;
+  hardBtn.disabled  = running;
+  stopBtn.disabled  = !running || locked;
+  nextBtn.hidden    = !pomodoro?.waiting;
+  taskInput.hidden  = running;
+  taskLabel.hidden  = !(running && task);
+  taskLabel.textContent = task ? `\uD83D\uDCCC ${task}` : "";
+  taskLabel.title       = task;
+
+  stateBar.classList.toggle("active", running && !locked);
   stateBar.classList.toggle("locked", locked);
 
-  if (locked) {
+  const left = remainingMs > 0 ? `${Math.ceil(remainingMs / 60000)}m left` : "Active";
+
+  if (pomodoro) {
+    const phase = { work: "Focus", short: "Short break", long: "Long break" }[pomodoro.phase];
+    if (pomodoro.waiting) {
+      icon.textContent  = "\u23F8";
+      title.textContent = `Round ${pomodoro.label} \u00B7 up next: ${phase}`;
+      sub.textContent   = "Waiting for you \u2014 sites unblocked";
+      badge.textContent = "NEXT";
+      badge.className   = "state-badge wait";
+    } else if (pomodoro.phase === "work") {
+      icon.textContent  = "\uD83C\uDF45";
+      title.textContent = `Round ${pomodoro.label} \u00B7 ${phase}`;
+      sub.textContent   = `${left} \u2014 ${allowlist ? "allowlist only" : "sites blocked"}`;
+      badge.textContent = pomodoro.label;
+      badge.className   = "state-badge err";
+    } else {
+      icon.textContent  = "\u2615";
+      title.textContent = `Round ${pomodoro.label} \u00B7 ${phase}`;
+      sub.textContent   = `${left} \u2014 sites unblocked`;
+      badge.textContent = "BREAK";
+      badge.className   = "state-badge on";
+    }
+  } else if (locked) {
     const mins = Math.ceil(remainingMs / 60000);
     icon.textContent  = "\uD83D\uDD12";
     title.textContent = "Hard Focus";
-    sub.textContent   = `${mins}m remaining`;
+    sub.textContent   = `${mins}m remaining${allowlist ? " \u00B7 allowlist only" : ""}`;
     badge.textContent = "LOCKED";
     badge.className   = "state-badge err";
   } else if (isOn) {
     icon.textContent  = "\u2705";
     title.textContent = "Focus Mode";
-    sub.textContent   = "Active \u2014 sites blocked";
+    sub.textContent   = `${left} \u2014 ${allowlist ? "allowlist only" : "sites blocked"}`;
     badge.textContent = "ON";
     badge.className   = "state-badge on";
   } else {
@@ -135,14 +290,38 @@ function updateFocusUI(isOn, locked = false, remainingMs = 0) {
     badge.className   = "state-badge";
   }
 
-  if (livePill)  livePill.classList.toggle("on", isOn);
-  if (liveLabel) liveLabel.textContent = locked ? "Locked" : isOn ? "Active" : "Idle";
+  if (livePill)  livePill.classList.toggle("on", running);
+  if (liveLabel) liveLabel.textContent = locked ? "Locked" : isOn ? "Active" : pomodoro ? "Break" : "Idle";
   if (lockBnr)   lockBnr.classList.toggle("show", locked);
 }
 
+// The dashboard's "Allowlist only" switch applies to sessions started here too.
+// Soft sessions run as a Pomodoro cycle (lengths come from the synced preferences).
+function startFocusSession(duration, hard) {
+  const task = document.getElementById("focusTaskInput").value.trim();
+  chrome.storage.local.get(["focusUseAllowlist"], d => {
+    chrome.runtime.sendMessage({ type: "FOCUS_ON", duration, hard, pomodoro: !hard, task, allowlist: !!d.focusUseAllowlist },
+      res => { if (res?.success) refreshFocusStatus(); });
+  });
+}
+
 function refreshFocusStatus() {
   chrome.runtime.sendMessage({ type: "GET_FOCUS_STATUS" }, res => {
-    if (res) updateFocusUI(res.status, res.locked, res.remaining);
+    if (res) updateFocusUI(res.status, res.locked, res.remaining, res.allowlist, res.pomodoro, res.task);
+  });
+}
+
+// Recent task names, newest first, offered as suggestions in the task field
+function loadRecentTasks() {
+  chrome.runtime.sendMessage({ type: "GET_RECENT_TASKS" }, res => {
+    if (chrome.runtime.lastError || !res?.tasks) return;
+    const list = document.getElementById("recentTasks");
+    list.innerHTML = "";
+    res.tasks.forEach(t => {
+      const opt = document.createElement("option");
+      opt.value = t;
+      list.appendChild(opt);
+    });
   });
 }
 
@@ -213,12 +392,13 @@ document.addEventListener("DOMContentLoaded", () => {
 
     _cachedToken = data.authToken;
     loadQuickStats();
+    connectLiveStream();
     refreshFocusStatus();
+    loadRecentTasks();
 
     /* ── Start Focus (25 min soft) ── */
     document.getElementById("startFocus").addEventListener("click", () => {
-      chrome.runtime.sendMessage({ type: "FOCUS_ON", duration: 25, hard: false },
-        res => { if (res?.success) refreshFocusStatus(); });
+      startFocusSession(25, false);
     });
 
     /* ── Hard Focus → open themed time picker ── */
@@ -250,8 +430,7 @@ document.addEventListener("DOMContentLoaded", () => {
     document.getElementById("pickerConfirm").addEventListener("click", () => {
       if (pickerMinutes < 5) return;
       closePicker();
-      chrome.runtime.sendMessage({ type: "FOCUS_ON", duration: pickerMinutes, hard: true },
-        res => { if (res?.success) refreshFocusStatus(); });
+      startFocusSession(pickerMinutes, true);
     });
 
     /* ── Stop Focus ── */
@@ -260,13 +439,19 @@ document.addEventListener("DOMContentLoaded", () => {
         res => { if (res?.success) refreshFocusStatus(); });
     });
 
+    /* ── Pomodoro: start the phase that is waiting ── */
+    document.getElementById("nextPhase").addEventListener("click", () => {
+      chrome.runtime.sendMessage({ type: "FOCUS_NEXT_PHASE" },
+        res => { if (res?.success) refreshFocusStatus(); });
+    });
+
     /* ── Open Dashboard ── */
     document.getElementById("openDashboard").addEventListener("click", () => {
       chrome.windows.create({ url: chrome.runtime.getURL("dashboard.html"), type: "popup", width: 1400, height: 900 });
     });
 
     /* ── Live storage listener ── */
-    const scopedKey = timeDataKey(_cachedToken);
+    const remoteKey = remoteTimeKey(_cachedToken), rulesKey = categoryRulesKey(_cachedToken);
     chrome.storage.onChanged.addListener((changes, area) => {
       if (area !== "local") return;
       // Re-apply theme if user changes it in the dashboard while popup is open
@@ -275,8 +460,8 @@ document.addEventListener("DOMContentLoaded", () => {
           applyTheme(d.theme || "light", d.accentColor || "indigo");
         });
       }
-      if (changes.focusMode || changes.focusLockUntil) refreshFocusStatus();
-      if (changes[scopedKey]) loadQuickStats();
+      if (changes.focusMode || changes.focusEndsAt || changes.focusAllowlist || changes.pomodoroState) refreshFocusStatus();
+      if (changes[remoteKey] || changes[rulesKey]) loadQuickStats();
     });
   });
 });
\ No newline at end of file
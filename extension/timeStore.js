@@ -0,0 +1,203 @@
+/* =========================================================
+   TIME STORE
+   Tracked time lives in IndexedDB, one record per
+   (user, day, domain):
+     { user, day, domain, time, category, hours,
+       paths?, entities?, listening? }
+   (field meanings: see TIME DATA FORMAT in background.js).
+   The worker is the only writer; every increment is a single
+   transaction, so nothing rewrites whole history any more.
+   Dashboard and popup only read day ranges.
+   Days past the retention window are rolled into per-week,
+   later per-month, aggregates (see compactTimeData):
+     { user, period: "week" | "month", start, days,
+       categories: { cat: ms }, listening: { cat: ms },
+       domains: { domain: ms } }
+   Loaded by importScripts() in background.js and by a
+   <script> tag in dashboard.html / popup.html.
+========================================================= */
+const TIME_DB_NAME    = "focusTracker";
+const TIME_DB_VERSION = 2;
+const TIME_STORE      = "timeEntries";
+const AGG_STORE       = "timeAggregates";
+const AGG_MAX_DOMAINS = 50;   // per aggregate; the rest is summed into "(other)"
+
+let _timeDb = null;
+
+function openTimeDb() {
+  if (_timeDb) return _timeDb;
+  _timeDb = new Promise((resolve, reject) => {
+    const req = indexedDB.open(TIME_DB_NAME, TIME_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(TIME_STORE)) {
+        db.createObjectStore(TIME_STORE, { keyPath: ["user", "day", "domain"] });
+      }
+      if (!db.objectStoreNames.contains(AGG_STORE)) {
+        db.createObjectStore(AGG_STORE, { keyPath: ["user", "period", "start"] });
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer version (another context after an update) take over
+      db.onversionchange = () => { db.close(); _timeDb = null; };
+      resolve(db);
+    };
+    req.onerror = () => { _timeDb = null; reject(req.error); };
+  });
+  return _timeDb;
+}
+
+// Runs fn(store, aggStore) in one transaction and resolves with what fn
+// returned once it has committed (fn fills it from request callbacks).
+async function timeTx(mode, fn) {
+  const db = await openTimeDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([TIME_STORE, AGG_STORE], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+    result = fn(tx.objectStore(TIME_STORE), tx.objectStore(AGG_STORE));
+  });
+}
+
+function addCounts(target, src) {
+  for (const k in src || {}) target[k] = (target[k] || 0) + src[k];
+  return target;
+}
+
+// Keys sort as [user, day, domain]; [] sorts after every string
+function timeDayRange(user, startDay, endDay) {
+  return IDBKeyRange.bound([user, startDay || ""], [user, endDay || "\uffff", []]);
+}
+
+// { "YYYY-MM-DD": { domain: entry } } for startDay..endDay inclusive,
+// or the user's whole history when both are omitted.
+function getTimeRange(user, startDay, endDay) {
+  return timeTx("readonly", (store) => {
+    const out = {};
+    store.getAll(timeDayRange(user, startDay, endDay)).onsuccess = (e) => {
+      e.target.result.forEach(({ user: _user, day, domain, ...entry }) => {
+        (out[day] = out[day] || {})[domain] = entry;
+      });
+    };
+    return out;
+  });
+}
+
+// Adds one delta to the stored (user, day, domain) record inside `store`'s transaction
+function mergeTimeRecord(store, user, day, domain, d, out) {
+  store.get([user, day, domain]).onsuccess = (e) => {
+    const r = e.target.result || { user, day, domain, time: 0, hours: {} };
+    r.time    += d.time || 0;
+    r.category = d.category || r.category || "Other";
+    addCounts(r.hours = r.hours || {}, d.hours);
+    if (d.paths)     r.paths     = addCounts(r.paths || {}, d.paths);
+    if (d.entities)  r.entities  = addCounts(r.entities || {}, d.entities);
+    if (d.listening) r.listening = (r.listening || 0) + d.listening;
+    store.put(r);
+    out[domain] = r;
+  };
+}
+
+// Adds { domain: { time, category, hours?, paths?, entities?, listening? } }
+// to one day atomically. Resolves with the updated records by domain.
+function addTimeDeltas(user, day, deltas) {
+  return timeTx("readwrite", (store) => {
+    const out = {};
+    for (const domain in deltas) mergeTimeRecord(store, user, day, domain, deltas[domain], out);
+    return out;
+  });
+}
+
+// Adds whole days of { "YYYY-MM-DD": { domain: entry } } in one transaction
+// (used by migrations; records already written for those days are kept)
+function mergeTimeData(user, timeData) {
+  return timeTx("readwrite", (store) => {
+    for (const day in timeData) {
+      for (const domain in timeData[day]) mergeTimeRecord(store, user, day, domain, timeData[day][domain], {});
+    }
+  });
+}
+
+/* ---------------------------------------------------------
+   AGGREGATES
+--------------------------------------------------------- */
+function weekStartKey(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  const t   = new Date(y, m - 1, d - (new Date(y, m - 1, d).getDay() + 6) % 7);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}`;
+}
+
+function monthStartKey(day) { return day.slice(0, 8) + "01"; }
+
+function mergeAggregate(into, from) {
+  into.days = (into.days || 0) + (from.days || 0);
+  ["categories", "listening", "domains"].forEach((f) => { into[f] = addCounts(into[f] || {}, from[f]); });
+  const top = Object.entries(into.domains).filter(([d]) => d !== "(other)").sort((a, b) => b[1] - a[1]);
+  if (top.length > AGG_MAX_DOMAINS) {
+    const other = top.slice(AGG_MAX_DOMAINS).reduce((s, [, ms]) => s + ms, into.domains["(other)"] || 0);
+    into.domains = Object.fromEntries(top.slice(0, AGG_MAX_DOMAINS));
+    into.domains["(other)"] = other;
+  }
+  return into;
+}
+
+// Rolls every day before `cutoffDay` into weekly aggregates, and weeks that
+// start before `weekCutoffDay` into monthly ones, in one transaction. A week
+// goes to the month its Monday falls in. `summarize(domain, record)` returns
+// { cat: ms } for a record, so category totals survive the loss of detail.
+// Resolves with the number of day records removed.
+function compactTimeData(user, cutoffDay, weekCutoffDay, summarize) {
+  return timeTx("readwrite", (store, aggStore) => {
+    const result  = { removed: 0 };
+    const targets = {};   // "period|start" → partial aggregate
+    const target  = (day) => {
+      const week = weekStartKey(day);
+      const [period, start] = week < weekCutoffDay ? ["month", monthStartKey(week)] : ["week", week];
+      return targets[`${period}|${start}`] = targets[`${period}|${start}`] || { user, period, start };
+    };
+    const oldDays  = IDBKeyRange.bound([user, ""], [user, cutoffDay], false, true);
+    const oldWeeks = IDBKeyRange.bound([user, "week", ""], [user, "week", weekCutoffDay], false, true);
+
+    store.getAll(oldDays).onsuccess = (e) => {
+      const records = e.target.result;
+      result.removed = records.length;
+      const seen = new Set();
+      records.forEach((r) => {
+        const t = target(r.day);
+        mergeAggregate(t, {
+          days:       seen.has(r.day) ? 0 : 1,
+          categories: summarize(r.domain, r),
+          listening:  r.listening ? { [r.category || "Other"]: r.listening } : {},
+          domains:    { [r.domain]: r.time || 0 }
+        });
+        seen.add(r.day);
+      });
+      aggStore.getAll(oldWeeks).onsuccess = (e2) => {
+        e2.target.result.forEach((w) => mergeAggregate(target(w.start), w));
+        store.delete(oldDays);
+        aggStore.delete(oldWeeks);
+        Object.values(targets).forEach((t) => {
+          aggStore.get([user, t.period, t.start]).onsuccess = (e3) => {
+            aggStore.put(e3.target.result ? mergeAggregate(e3.target.result, t) : t);
+          };
+        });
+      };
+    };
+    return result;
+  }).then((r) => r.removed);
+}
+
+// All of a user's aggregates, oldest first
+function getTimeAggregates(user) {
+  return timeTx("readonly", (store, aggStore) => {
+    const out = [];
+    aggStore.getAll(IDBKeyRange.bound([user, ""], [user, []])).onsuccess = (e) => {
+      e.target.result.forEach(({ user: _user, ...agg }) => out.push(agg));
+    };
+    return out;
+  }).then((list) => list.sort((a, b) => a.start.localeCompare(b.start)));
+}